@@ -1,179 +1,98 @@
 // Initialize PDF.js
-// When opened via file://, some browsers block workers; fall back to no-worker mode
-if (typeof pdfjsLib !== 'undefined') {
+// Served from vendor/ (copied there by `npm install`) so it works offline; without it the same
+// version comes from the CDN. When opened via file://, some browsers block workers; fall back
+// to no-worker mode.
+const PDFJS_VENDOR_URL = 'vendor/pdfjs-3.11.174/';
+const PDFJS_CDN_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/';
+
+function configurePdfJs(baseUrl) {
   if (location.protocol === 'file:') {
     // Disable worker for local file usage to avoid CORS/worker loading errors
     pdfjsLib.GlobalWorkerOptions.workerSrc = null;
     pdfjsLib.disableWorker = true;
   } else {
-    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+    pdfjsLib.GlobalWorkerOptions.workerSrc = `${baseUrl}pdf.worker.min.js`;
   }
-
-// Heuristic: identify Table of Contents/summary-like pages
-function isLikelyTOC(text) {
-    if (!text) return false;
-    const lower = text.toLowerCase();
-    const keywords = [
-        'table of contents', 'contents', 'summary', 'index',
-        'sumário', 'sumario', 'índice', 'indice', 'conteúdo', 'conteudo'
-    ];
-    if (keywords.some(k => lower.includes(k))) return true;
-    // Dot leaders and page-number heavy lines are typical in TOC
-    const dotLeader = /\.{4,}/.test(text);
-    const manyNumbers = (text.match(/\b\d{1,3}\b/g) || []).length >= 8;
-    return dotLeader || manyNumbers;
-}
-
-// Detect the start index of the first chapter heading within text, or -1 if not found
-function findChapterStartIndex(text, pageNumber = 1) {
-    if (!text) return -1;
-    // Ignore potential matches on early pages or TOC-like pages
-    const minPage = getMinChapterPage();
-    if (pageNumber < minPage) return -1;
-    if (isLikelyTOC(text)) return -1;
-
-    const patterns = [
-        /\bchapter\s+(\d+|[ivxlcdm]+|one|two|three|four|five|six|seven|eight|nine|ten)\b/i,
-        /\bcap[ií]tulo\s+(\d+|[ivxlcdm]+|um|dois|tr[eê]s|quatro|cinco|seis|sete|oito|nove|dez)\b/i
-    ];
-    for (const re of patterns) {
-        const m = text.match(re);
-        if (m && m.index !== undefined) return m.index;
-    }
-    return -1;
 }
+
+if (typeof pdfjsLib !== 'undefined') {
+  configurePdfJs(PDFJS_VENDOR_URL);
+} else {
+  const pdfjsScript = document.createElement('script');
+  pdfjsScript.src = `${PDFJS_CDN_URL}pdf.min.js`;
+  pdfjsScript.onload = () => configurePdfJs(PDFJS_CDN_URL);
+  document.head.appendChild(pdfjsScript);
 }
 
-// Build a book object from a PDF File
+// Build a book object from a PDF (or EPUB / text / Markdown / HTML) File
 async function buildBookFromFile(file) {
-    const arrayBuffer = await file.arrayBuffer();
-    const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
-    const pdf = await loadingTask.promise;
-
-    // Extract cover from first page
-    let coverDataUrl = '';
-    try {
-        const firstPage = await pdf.getPage(1);
-        const v = firstPage.getViewport({ scale: 0.5 });
-        const canvas = document.createElement('canvas');
-        canvas.width = Math.floor(v.width);
-        canvas.height = Math.floor(v.height);
-        await firstPage.render({ canvasContext: canvas.getContext('2d'), viewport: v }).promise;
-        coverDataUrl = canvas.toDataURL('image/jpeg', 0.8);
-    } catch (e) {
-        console.warn('Failed to extract cover:', e);
-    }
-
-    // Extract chunks per page
-    const chunks = [];
-    const numPages = pdf.numPages;
-    let foundChapterStart = !shouldSkipFrontMatter();
-    for (let p = 1; p <= numPages; p++) {
-        try {
-            const page = await pdf.getPage(p);
-            let textItems = '';
-            try {
-                const textContent = await page.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
-                textItems = textContent.items.map(it => it.str).join(' ').trim();
-            } catch {}
-
-            if (!foundChapterStart) {
-                // Try to locate the first chapter heading in this page
-                const cutIndex = findChapterStartIndex(textItems, p);
-                if (cutIndex >= 0) {
-                    foundChapterStart = true;
-                    textItems = textItems.slice(cutIndex); // include from chapter heading onward
-                } else {
-                    // Still in front matter, skip this page entirely
-                    continue;
-                }
-            }
-
-            if (textItems && textItems.length > 0) {
-                const pageChunks = splitIntoSentenceChunks(textItems, 4);
-                for (const ct of pageChunks) {
-                    chunks.push({ type: 'text', content: ct });
-                }
-            } else {
-                // canvas chunk
-                if (foundChapterStart) {
-                    const scale = 1.25;
-                    const v = page.getViewport({ scale });
-                    const canvas = document.createElement('canvas');
-                    canvas.width = Math.floor(v.width);
-                    canvas.height = Math.floor(v.height);
-                    await page.render({ canvasContext: canvas.getContext('2d'), viewport: v }).promise;
-                    const imgUrl = canvas.toDataURL('image/jpeg', 0.85);
-                    chunks.push({ type: 'image', content: imgUrl });
-                } // else still front matter image, skip
-            }
-        } catch (err) {
-            console.warn('Page parse failed:', err);
-        }
-    }
-
-    return {
-        name: file.name.replace(/\.pdf$/i, ''),
-        cover: coverDataUrl,
-        chunks
-    };
+    return startBookIngest(file).promise;
 }
 
-// Append additional PDFs and re-interleave
+// Append additional books and re-interleave, staying on the current passage; new books stream
+// in while they are parsed
 async function processAdditionalFiles(files) {
     try {
-        const capacity = Math.max(0, 4 - booksState.length);
+        const capacity = Math.max(0, getMaxBooks() - booksState.length);
         const intake = Array.from(files).slice(0, capacity);
-        for (const file of intake) {
-            const book = await buildBookFromFile(file);
-            booksState.push(book);
-        }
-        interleaveBooksIntoScreens(booksState);
+        clearFinishedIngestJobs();
+        const jobs = intake.map(file => startBookIngest(file, onIngestUpdate));
+        reinterleaveSession(() => {
+            jobs.forEach(job => {
+                booksState.push(job.book);
+                sessionFiles.push(job.file);
+            });
+        });
+        renderIngestProgress();
+        await settleIngestJobs(jobs);
         documentTitle.textContent = booksState.map(b => b.name).join(' • ');
+        await rememberSession(sessionFiles, booksState);
     } catch (e) {
         console.error('Error adding PDFs:', e);
         alert('Error adding PDFs. Please try again.');
     }
 }
 
-// New: Process multiple files (up to 4), build chunks per book, then interleave
+// New: Process multiple files (up to the book limit), build chunks per book, then interleave.
+// Books are parsed off the main thread and the reader opens once every book has its first chunks.
 async function processMultipleFiles(files) {
+    const originalDropZone = dropZone.innerHTML;
     try {
         console.log('[processMultipleFiles] starting with files:', files.map(f => f.name));
-        if (typeof pdfjsLib === 'undefined') {
+        if (typeof pdfjsLib === 'undefined' && !canUsePdfWorker() && files.some(isPdfFile)) {
             throw new Error('PDF.js (pdfjsLib) is not loaded');
         }
+        endStatsView();
         uploadScreen.classList.add('active');
         readerScreen.classList.remove('active');
-        dropZone.innerHTML = '<div class="loading">Processing PDFs...</div>';
 
-        // Prepare structures per book
-        const books = [];
-        for (const file of files) {
-            console.log('[processMultipleFiles] building book for', file.name);
-            const book = await buildBookFromFile(file);
-            console.log('[processMultipleFiles] built book', book && book.name, 'chunks:', book && book.chunks && book.chunks.length);
-            books.push(book);
-        }
-
-        // Interleave chunks round-robin across books
-        booksState = books.slice(0, 4);
-        interleaveBooksIntoScreens(booksState);
+        clearFinishedIngestJobs();
+        const jobs = files.slice(0, getMaxBooks()).map(file => startBookIngest(file, onIngestUpdate));
+        booksState = jobs.map(j => j.book);
+        sessionFiles = jobs.map(j => j.file);
+        pendingReaderOpen = true;
+        showIngestProgress(jobs);
+        interleaveBooksIntoScreens(booksState, { strategy: DEFAULT_INTERLEAVE_STRATEGY });
 
-        // Switch to reader view
-        uploadScreen.classList.remove('active');
-        readerScreen.classList.add('active');
-
-        // Update recent docs (store first only for now)
-        if (books[0]) {
-            currentDocument = {
-                name: books.map(b => b.name).join(' + '),
-                lastOpened: new Date().toISOString(),
-                pages: [], currentPage: 1, progress: 0
-            };
-            saveToRecentDocuments(currentDocument);
+        await settleIngestJobs(jobs);
+        if (pendingReaderOpen) {
+            pendingReaderOpen = false;
+            if (jobs.some(j => j.status === 'cancelled')) {
+                // Cancelled before reading started: back to the upload screen
+                booksState = [];
+                sessionFiles = [];
+                interleaveState = null;
+                dropZone.innerHTML = originalDropZone;
+                return;
+            }
+            if (!booksState.length) throw new Error('None of the files could be read');
+            openReaderScreen();
         }
+
+        // Keep the files and built books so the session can be reopened from Recent Documents
+        await rememberSession(sessionFiles, booksState);
     } catch (error) {
+        pendingReaderOpen = false;
         console.error('Error processing PDFs:', error && (error.stack || error.message || error));
         const msg = (error && (error.message || error.toString())) || 'Unknown error';
         alert('Error processing PDFs: ' + msg + '\nAttempting single-file mode with the first PDF...');
@@ -189,70 +108,345 @@ async function processMultipleFiles(files) {
     }
 }
 
-function interleaveBooksIntoScreens(books) {
-    // Reset content
+// Called whenever an ingestion job reports progress or new chunks
+function onIngestUpdate() {
+    pumpInterleave();
+    renderIngestProgress();
+    if (isChapterDrawerOpen()) renderChapterDrawer();
+    if (isSessionDrawerOpen()) renderSessionDrawer();
+    documentTitle.textContent = booksState.map(b => b.name).join(' • ');
+    if (pendingReaderOpen && isSessionReadable()) {
+        pendingReaderOpen = false;
+        openReaderScreen();
+    }
+}
+
+// Every book has its first chunks (or is done) and the first screen to read exists
+function isSessionReadable() {
+    const st = interleaveState;
+    return !!st && st.startPage > 0 && totalPages >= st.startPage
+        && booksState.every(b => b.chunks.length > 0 || !b.loading);
+}
+
+// Wait for ingestion jobs; books that failed without producing any chunk are dropped
+async function settleIngestJobs(jobs) {
+    const results = await Promise.allSettled(jobs.map(j => j.promise));
+    const failed = jobs.filter((j, i) => results[i].status === 'rejected' && j.book.chunks.length === 0);
+    if (failed.length) {
+        failed.forEach(j => console.error('Failed to read', j.file.name, j.error));
+        dropBooksFromSession(failed.map(j => j.book));
+        alert(`Could not read: ${failed.map(j => j.file.name).join(', ')}`);
+    }
+    renderIngestProgress();
+}
+
+// Remove books (that have no screens) from the session, keeping screen mappings valid
+function dropBooksFromSession(books) {
+    const newIndex = [];
+    let next = 0;
+    booksState.forEach((b, i) => { newIndex[i] = books.includes(b) ? -1 : next++; });
+    const keep = (_, i) => newIndex[i] >= 0;
+    booksState = booksState.filter(keep);
+    sessionFiles = sessionFiles.filter(keep);
+    screenMap.forEach(entry => { if (entry) entry.bookIndex = newIndex[entry.bookIndex]; });
+    const st = interleaveState;
+    if (st) {
+        st.books = booksState;
+        st.resumeFrom = st.resumeFrom.filter(keep);
+        st.positions = st.positions.filter(keep);
+        st.turn = createInterleaveTurn(st.strategy, booksState.length);
+        pumpInterleave();
+    }
+}
+
+// Per-file progress list with a cancel button inside the drop zone
+function showIngestProgress(jobs) {
+    dropZone.innerHTML = `
+        <div class="loading">Processing books...</div>
+        <ul class="ingest-list"></ul>
+        <button type="button" class="btn ingest-cancel">Cancel</button>
+    `;
+    const list = dropZone.querySelector('.ingest-list');
+    jobs.forEach(job => {
+        const item = document.createElement('li');
+        item.className = 'ingest-item';
+        item.innerHTML = `
+            <div class="ingest-item-head">
+                <span class="ingest-name"></span>
+                <span class="ingest-pages">Starting...</span>
+            </div>
+            <div class="ingest-bar"><div class="ingest-bar-fill"></div></div>
+        `;
+        item.querySelector('.ingest-name').textContent = job.file.name;
+        job.progressEl = item;
+        list.appendChild(item);
+    });
+    dropZone.querySelector('.ingest-cancel').addEventListener('click', (e) => {
+        e.stopPropagation();
+        cancelIngest();
+    });
+}
+
+// Refresh the drop zone list and the reader header status from the ingestion jobs
+function renderIngestProgress() {
+    ingestJobs.forEach(job => {
+        const item = job.progressEl;
+        if (!item) return;
+        const fraction = job.status === 'running' ? (job.numPages ? job.page / job.numPages : 0) : 1;
+        item.querySelector('.ingest-bar-fill').style.width = `${Math.round(fraction * 100)}%`;
+        let label = job.numPages ? `Page ${job.page} of ${job.numPages}` : 'Starting...';
+        if (job.status === 'done') label = 'Done';
+        if (job.status === 'cancelled') label = 'Cancelled';
+        if (job.status === 'error') label = 'Failed';
+        item.querySelector('.ingest-pages').textContent = label;
+    });
+
+    if (!ingestStatus) return;
+    const running = ingestJobs.filter(j => j.status === 'running');
+    ingestStatus.style.display = running.length ? 'flex' : 'none';
+    if (running.length) {
+        ingestStatusText.textContent = `Loading ${running.length} book${running.length > 1 ? 's' : ''}... ${Math.round(getIngestProgress() * 100)}%`;
+        ingestStatus.title = running.map(j => `${j.file.name}: page ${j.page} of ${j.numPages || '?'}`).join('\n');
+    }
+}
+
+// Switch to the reader view and jump to the screen where reading resumes
+function openReaderScreen() {
+    uploadScreen.classList.remove('active');
+    readerScreen.classList.add('active');
+    scrollToStartScreen();
+}
+
+// Interleave books into screens (with the session's saved strategy) and switch to the reader view
+function showBooksInReader(books, strategy) {
+    interleaveBooksIntoScreens(books, { strategy: strategy || DEFAULT_INTERLEAVE_STRATEGY });
+    openReaderScreen();
+}
+
+// Store a multi-book session in the library and list it under Recent Documents
+async function rememberSession(files, books) {
+    if (!books.length) return;
+    const name = books.map(b => b.name).join(' + ');
+    const sessionId = makeSessionId(books.map(b => b.id));
+    currentDocument = {
+        name,
+        sessionId,
+        bookCount: books.length,
+        lastOpened: new Date().toISOString(),
+        pages: [], currentPage: 1, progress: 0,
+        fileSize: files.reduce((sum, f) => sum + (f ? f.size : 0), 0)
+    };
+    saveToRecentDocuments(currentDocument);
+    try {
+        await requestPersistentStorage();
+        await saveSessionToLibrary(files, books, name, {
+            interleave: interleaveState ? interleaveState.strategy : undefined,
+            bookStatus: getSessionBookStatus(books)
+        });
+    } catch (e) {
+        console.warn('Could not store session in the library:', e);
+        if (isQuotaError(e)) {
+            alert('Not enough storage space to keep these books for later. They can still be read now.');
+        }
+    }
+}
+
+// Reopen a stored session from the Recent Documents list
+async function openRecentDocument(doc) {
+    if (!doc.sessionId) {
+        alert(`"${doc.name}" was opened before books were stored on this device. Please upload it again.`);
+        return;
+    }
+    const originalDropZone = dropZone.innerHTML;
+    try {
+        dropZone.innerHTML = '<div class="loading">Opening saved books...</div>';
+        const { session, books } = await loadSessionFromLibrary(doc.sessionId);
+        books.forEach(book => { book.status = (session.bookStatus && session.bookStatus[book.id]) || ''; });
+        booksState = books;
+        sessionFiles = books.map(() => null);
+        currentDocument = { ...doc, lastOpened: new Date().toISOString() };
+        showBooksInReader(booksState, session.interleave);
+        saveToRecentDocuments(currentDocument);
+    } catch (error) {
+        console.error('Error opening stored session:', error);
+        const remove = confirm(`Could not open "${doc.name}": ${error.message}\n\nRemove it from Recent Documents?`);
+        if (remove) {
+            removeFromRecentDocuments(doc.sessionId);
+            deleteSessionFromLibrary(doc.sessionId).catch(err => console.warn('Eviction failed:', err));
+        }
+    } finally {
+        // Also for when the reader is left for the upload screen again
+        dropZone.innerHTML = originalDropZone;
+    }
+}
+
+// Reset the reader and interleave books into screens. Books may still be loading: screens are
+// appended by pumpInterleave() as their chunks arrive.
+// options.focusBookIndex: start on that book's resume screen instead of the first book's
+// options.strategy: how to mix the books (see interleave.js); the current one by default
+function interleaveBooksIntoScreens(books, options = {}) {
+    // Reset content: screens are absolutely positioned inside one tall list, only a few are mounted
     readerContent.innerHTML = '';
+    screenListEl = document.createElement('div');
+    screenListEl.className = 'screen-list';
+    readerContent.appendChild(screenListEl);
     pages = [];
+    screenMap = [];
+    recycledScreens = [];
+    mountedScreens = new Set();
     totalPages = 0;
     currentPageNum = 1;
     totalPagesEl.textContent = '0';
+    // Chunk indexes change with the screens; old search results no longer apply
+    searchState = { query: '', results: [], index: -1 };
+    searchHighlight = null;
+    if (readAloud.active) stopReadAloud();
+    readAloud.screen = 0;
+    if (autoplay.active) stopAutoplay();
+    speechHighlight = null;
+    layoutScreenList();
     documentTitle.textContent = books.map(b => b.name).join(' • ');
 
-    // Round-robin until all chunks exhausted
-    const positions = books.map(() => 0);
-    let remaining = books.reduce((sum, b) => sum + b.chunks.length, 0);
-    while (remaining > 0) {
-        for (let i = 0; i < books.length; i++) {
-            const pos = positions[i];
-            const book = books[i];
-            if (pos >= book.chunks.length) continue;
-            const chunk = book.chunks[pos];
-            positions[i]++;
-            remaining--;
-
-            // Create screen
-            const screen = document.createElement('div');
-            screen.className = 'page book-bg';
-            if (book.cover) {
-                screen.style.backgroundImage = `url(${book.cover})`;
-            }
+    // Each book resumes at its own saved position: already-read chunks are interleaved first
+    // (phase 0, so scrolling back still shows them), then the unread rest (phase 1), and
+    // reading starts at the boundary.
+    const strategy = normalizeInterleaveStrategy(options.strategy || (interleaveState && interleaveState.strategy));
+    interleaveState = {
+        books,
+        strategy,
+        turn: createInterleaveTurn(strategy, books.length),
+        resumeFrom: books.map(b => getSavedBookPosition(b)),
+        positions: books.map(() => 0),
+        phase: 0,
+        startPage: 0,
+        focusBookIndex: typeof options.focusBookIndex === 'number' ? options.focusBookIndex : -1,
+        started: false
+    };
+    pumpInterleave();
+}
 
-            const content = document.createElement('div');
-            content.className = 'page-content framed';
-
-            if (chunk.type === 'text') {
-                content.textContent = chunk.content;
-            } else if (chunk.type === 'image') {
-                const img = document.createElement('img');
-                img.src = chunk.content;
-                img.alt = 'Page';
-                img.style.width = '100%';
-                img.style.height = 'auto';
-                content.appendChild(img);
-            }
+// Append every screen that can be placed in the strategy's order right now. Stops at the first
+// book in turn whose next chunk is still being parsed, and resumes when more chunks arrive.
+function pumpInterleave() {
+    const st = interleaveState;
+    if (!st) return;
+    const { books } = st;
+    const before = totalPages;
+
+    while (st.phase <= 1) {
+        // In phase 0 a book's limit is its resume chunk, which is only known for sure once the
+        // chunk after the saved position has been parsed
+        const resume = st.phase === 0 ? books.map((b, i) => resolveResumeIndex(b, st.resumeFrom[i])) : null;
+        const limitOf = i => st.phase === 0 ? resume[i].index : Infinity;
+        const hasMore = i => st.phase === 0
+            ? st.positions[i] < resume[i].index || !resume[i].final
+            : st.positions[i] < books[i].chunks.length || books[i].loading;
+        // Paused and finished books get no screens
+        const eligible = books.map((_, i) => i).filter(i => !books[i].status && hasMore(i));
+        if (!eligible.length) {
+            st.phase++;
+            st.turn = createInterleaveTurn(st.strategy, books.length);
+            if (st.phase === 1) st.startPage = totalPages + 1;
+            continue;
+        }
+        const i = pickInterleaveBook(st, eligible);
+        const pos = st.positions[i];
+        if (pos < limitOf(i) && pos < books[i].chunks.length) {
+            appendScreen(i, pos);
+            st.positions[i]++;
+            placeInterleaveBook(st, i, eligible, books[i].chunks[pos]);
+        } else {
+            break; // wait for this book's next chunk to keep the order
+        }
+    }
 
-            screen.appendChild(content);
-            totalPages += 1;
-            screen.dataset.pageNumber = String(totalPages);
-            readerContent.appendChild(screen);
-            pages[totalPages] = { element: screen, rendered: true };
+    if (totalPages !== before) {
+        totalPagesEl.textContent = String(totalPages);
+        pageIndicator.textContent = formatPageIndicator(currentPageNum);
+        layoutScreenList();
+        loadAdjacentPages();
+        updateNavigation();
+    }
+    if (!st.started && st.startPage > 0 && totalPages >= st.startPage) {
+        const start = findStartScreen(st);
+        if (start) {
+            st.started = true;
+            currentPageNum = start;
+            scrollToStartScreen();
         }
     }
+}
+
+// First screen to show: the phase 1 boundary, or the focus book's first screen after it
+// (0 while that screen has not been appended yet)
+function findStartScreen(st) {
+    const focus = st.focusBookIndex;
+    if (focus < 0 || focus >= st.books.length) return st.startPage;
+    for (let n = st.startPage; n <= totalPages; n++) {
+        if (screenMap[n] && screenMap[n].bookIndex === focus) return n;
+    }
+    const book = st.books[focus];
+    const exhausted = !book.loading && st.positions[focus] >= book.chunks.length;
+    return exhausted ? st.startPage : 0;
+}
 
-    totalPagesEl.textContent = String(totalPages);
-    pageIndicator.textContent = `Page ${currentPageNum} of ${totalPages}`;
+// Add the screen for chunk chunkIndex of books[bookIndex]; it is mounted when near the viewport
+function appendScreen(bookIndex, chunkIndex) {
+    totalPages += 1;
+    screenMap[totalPages] = { bookIndex, chunkIndex };
+}
 
-    // Scroll to first
+// Bring the resume screen into view (once the reader is visible)
+function scrollToStartScreen() {
+    if (!readerScreen.classList.contains('active')) return;
     setTimeout(() => {
-        const first = document.querySelector('.page[data-page-number="1"]');
-        if (first) {
-            first.scrollIntoView({ behavior: 'auto', block: 'start' });
-            updateProgress(1);
-            updateNavigation();
-        }
+        layoutScreenList();
+        jumpToScreen(currentPageNum);
     }, 100);
 }
 
+// Saved position of a book ({ offset, chunk, total, updatedAt }) or null
+function getSavedBookPosition(book) {
+    const positions = JSON.parse(localStorage.getItem(BOOK_POSITIONS_KEY) || '{}');
+    return (book.id && positions[book.id]) || null;
+}
+
+// Chunk to resume a book at: { index, final }. The text offset survives re-chunking; positions
+// saved before offsets existed fall back to their chunk index. Not final while the book is
+// still loading and the chunks parsed so far may end before the saved position.
+function resolveResumeIndex(book, saved) {
+    const count = book.chunks.length;
+    if (!saved) return { index: 0, final: true };
+    if (typeof saved.offset === 'number') {
+        if (count === 0) return { index: 0, final: !book.loading };
+        const index = findChunkAtOffset(book.chunks, saved.offset);
+        return { index, final: !book.loading || index < count - 1 };
+    }
+    const chunk = Math.max(0, saved.chunk | 0);
+    if (book.loading) return { index: chunk, final: chunk < count };
+    return { index: Math.min(chunk, Math.max(0, count - 1)), final: true };
+}
+
+// Remember which passage of its book the given screen shows
+function saveBookPosition(screenNumber) {
+    const entry = screenMap[screenNumber];
+    if (!entry) return;
+    const book = booksState[entry.bookIndex];
+    const chunk = book && book.chunks[entry.chunkIndex];
+    if (!chunk || !book.id) return;
+    const positions = JSON.parse(localStorage.getItem(BOOK_POSITIONS_KEY) || '{}');
+    const position = {
+        offset: chunk.offset || 0,
+        chunk: entry.chunkIndex,
+        total: book.chunks.length,
+        updatedAt: new Date().toISOString()
+    };
+    positions[book.id] = position;
+    localStorage.setItem(BOOK_POSITIONS_KEY, JSON.stringify(positions));
+    // Sent with the next batch, not on every screen
+    queueSyncChange('position', book.id, '', position, position.updatedAt);
+}
+
 // DOM Elements
 const uploadScreen = document.getElementById('upload-screen');
 const readerScreen = document.getElementById('reader-screen');
@@ -275,19 +469,125 @@ const fontSizeInput = document.getElementById('font-size');
 const lineHeightInput = document.getElementById('line-height');
 const themeSelect = document.getElementById('theme');
 const skipFrontMatterCheckbox = document.getElementById('skip-front-matter');
+const ocrEnabledCheckbox = document.getElementById('ocr-enabled');
 const minChapterPageInput = document.getElementById('min-chapter-page');
 const minChapterPageDisplay = document.getElementById('min-chapter-page-display');
+const chunkBookSelect = document.getElementById('chunk-book');
+const chunkModeSelect = document.getElementById('chunk-mode');
+const chunkSizeInput = document.getElementById('chunk-size');
+const chunkSizeLabel = document.getElementById('chunk-size-label');
+const readingWpmOption = document.getElementById('reading-wpm-option');
+const readingWpmInput = document.getElementById('reading-wpm');
+const readingWpmDisplay = document.getElementById('reading-wpm-display');
+const interleaveTypeSelect = document.getElementById('interleave-type');
+const interleaveSizeOption = document.getElementById('interleave-size-option');
+const interleaveSizeInput = document.getElementById('interleave-size');
+const interleaveSizeDisplay = document.getElementById('interleave-size-display');
+const interleaveWeightsOption = document.getElementById('interleave-weights-option');
+const interleaveWeightsEl = document.getElementById('interleave-weights');
+const interleaveShuffleOption = document.getElementById('interleave-shuffle-option');
+const interleaveReshuffleBtn = document.getElementById('interleave-reshuffle');
 const recentDocsContainer = document.getElementById('recent-docs');
 const addFilesBtn = document.getElementById('add-files-btn');
+const booksBtn = document.getElementById('books-btn');
+const sessionDrawer = document.getElementById('session-drawer');
+const sessionDrawerBackdrop = document.getElementById('session-drawer-backdrop');
+const sessionDrawerClose = document.getElementById('session-drawer-close');
+const sessionDrawerBody = document.getElementById('session-drawer-body');
+const sessionAddBtn = document.getElementById('session-add-btn');
+const sessionBookCount = document.getElementById('session-book-count');
+const maxBooksInput = document.getElementById('max-books');
+const maxBooksDisplay = document.getElementById('max-books-display');
+const maxBooksSubtitle = document.getElementById('max-books-subtitle');
+const chaptersBtn = document.getElementById('chapters-btn');
+const chapterDrawer = document.getElementById('chapter-drawer');
+const chapterDrawerBackdrop = document.getElementById('chapter-drawer-backdrop');
+const chapterDrawerClose = document.getElementById('chapter-drawer-close');
+const chapterDrawerBody = document.getElementById('chapter-drawer-body');
+const searchBtn = document.getElementById('search-btn');
+const searchOverlay = document.getElementById('search-overlay');
+const searchInput = document.getElementById('search-input');
+const searchCloseBtn = document.getElementById('search-close');
+const searchSummary = document.getElementById('search-summary');
+const searchResultsEl = document.getElementById('search-results');
+const savedBtn = document.getElementById('saved-btn');
+const autoplayBtn = document.getElementById('autoplay-btn');
+const autoplayCountdown = document.getElementById('autoplay-countdown');
+const autoplayCountdownFill = document.getElementById('autoplay-countdown-fill');
+const autoplayWpmInput = document.getElementById('autoplay-wpm');
+const autoplayWpmDisplay = document.getElementById('autoplay-wpm-display');
+const readAloudBtn = document.getElementById('read-aloud-btn');
+const speechRateInput = document.getElementById('speech-rate');
+const speechRateDisplay = document.getElementById('speech-rate-display');
+const speechVoiceSelects = document.querySelectorAll('.speech-voice');
+const gestureLongPressSelect = document.getElementById('gesture-long-press');
+const gestureDoubleTapSelect = document.getElementById('gesture-double-tap');
+const syncTokenInput = document.getElementById('sync-token');
+const syncStatusEl = document.getElementById('sync-status');
+const syncNowBtn = document.getElementById('sync-now');
+const bookmarkBtn = document.getElementById('bookmark-btn');
+const bookmarkFeed = document.getElementById('bookmark-feed');
+const bookmarkFeedClose = document.getElementById('bookmark-feed-close');
+const bookmarkFeedList = document.getElementById('bookmark-feed-list');
+const highlightPopover = document.getElementById('highlight-popover');
+const highlightNoteInput = document.getElementById('highlight-note');
+const highlightSaveBtn = document.getElementById('highlight-save');
+const highlightDeleteBtn = document.getElementById('highlight-delete');
+const exportHighlightsMdBtn = document.getElementById('export-highlights-md');
+const exportHighlightsJsonBtn = document.getElementById('export-highlights-json');
+const ingestStatus = document.getElementById('ingest-status');
+const ingestStatusText = document.getElementById('ingest-status-text');
+const ingestCancelBtn = document.getElementById('ingest-cancel-btn');
+const statsScreen = document.getElementById('stats-screen');
+const statsBtn = document.getElementById('stats-btn');
+const statsBackBtn = document.getElementById('stats-back-btn');
+const statsCards = document.getElementById('stats-cards');
+const statsDays = document.getElementById('stats-days');
+const statsBooks = document.getElementById('stats-books');
+const exportStatsJsonBtn = document.getElementById('export-stats-json');
+const exportStatsCsvBtn = document.getElementById('export-stats-csv');
+const serverLibraryEl = document.getElementById('server-library');
+const serverLibraryList = document.getElementById('server-library-list');
+const serverLibraryUploadBtn = document.getElementById('server-library-upload');
+const serverLibraryOpenBtn = document.getElementById('server-library-open');
 
 // State
 let currentPdf = null;
 // We treat each text chunk (4 sentences) as a "page" (screen)
 let currentPageNum = 1; // current screen number
 let totalPages = 0;     // total screens (chunks), grows as we render
-let pages = [];         // pages[screenNumber] = { element, rendered }
+let pages = [];         // pages[screenNumber] = { element, rendered } for mounted screens only
+let screenMap = [];     // screenMap[screenNumber] = { bookIndex, chunkIndex } for every screen
+let screenListEl = null;    // tall container the screens are positioned in
+let screenStride = 0;       // height of one screen (the reader viewport)
+let recycledScreens = [];   // unmounted screen elements kept for reuse
+let mountedScreens = new Set(); // screen numbers currently in the DOM
 // Keep a global list of books for interleaving so we can append more later
 let booksState = [];
+// Original files of the current session (kept so they can be stored in the library)
+let sessionFiles = [];
+// Streaming interleave state (see pumpInterleave)
+let interleaveState = null;
+// True while the upload screen waits for the first chunks of a new session
+let pendingReaderOpen = false;
+// Last search: results sorted by screen ({ bookIndex, chunkIndex, start, end, screen }) and the
+// one shown; searchHighlight is the match marked on its screen
+let searchState = { query: '', results: [], index: -1 };
+let searchHighlight = null;
+let searchTimeout = null;
+// Target of the highlight popover: { bookIndex, range } for new text, { bookIndex, id } when editing
+let highlightTarget = null;
+// Read aloud: the screen being spoken, its sentences and the one being said
+let readAloud = { active: false, screen: 0, sentences: [], index: 0, utterance: null };
+let speechHighlight = null;
+// Autoplay: the screen being held, for how long, and how the reader left recent screens
+let autoplay = { active: false, held: false, screen: 0, timer: null, holdMs: 0, remainingMs: 0, startedAt: 0, enteredAt: 0, signals: [] };
+// Reading stats: the passage in view and since when ({ book, offset, startedAt })
+let statsView = null;
+// Home library on the server (see library-server.js): its books and the ones picked to read
+let serverLibrary = { books: [], selected: new Set() };
+// Touch drag in progress: the scroll position and screen it started from ({ top, screen })
+let gestureDrag = null;
 let isScrolling = false;
 let scrollTimeout = null;
 let currentDocument = {
@@ -301,6 +601,19 @@ let currentDocument = {
 // Constants
 const RECENT_DOCS_KEY = 'recentDocuments';
 const MAX_RECENT_DOCS = 5;
+const DEFAULT_MAX_BOOKS = 4;
+const BOOK_POSITIONS_KEY = 'bookPositions';
+const BOOK_CHUNK_SETTINGS_KEY = 'bookChunkSettings'; // bookId -> chunk settings overriding the default
+// Screen size slider per chunk mode: which setting it edits and its range
+const CHUNK_SIZE_CONTROLS = {
+    sentences: { key: 'sentences', min: 1, max: 10, step: 1, label: n => `Sentences per screen: ${n}` },
+    words: { key: 'words', min: 20, max: 300, step: 10, label: n => `Words per screen: about ${n}` },
+    time: { key: 'seconds', min: 5, max: 120, step: 5, label: n => `Seconds per screen: about ${n}` }
+};
+const SCREEN_OVERSCAN = 2;      // screens kept mounted on each side of the current one
+const SCREEN_GAP = 16;          // px between screen cards
+const MAX_RECYCLED_SCREENS = 8;
+const BOOK_FILE_ACCEPT = '.pdf,.epub,.txt,.md,.markdown,.html,.htm,application/pdf,application/epub+zip,text/plain,text/markdown,text/html';
 
 // Initialize the app
 function init() {
@@ -314,6 +627,13 @@ function init() {
     setupEventListeners();
     loadSettings();
     loadRecentDocuments();
+    loadServerLibrary();
+    // Pull what was read on other devices before a book is picked
+    startSync({ onApply: handleSyncApplied, onStatus: renderSyncStatus });
+    registerServiceWorker();
+    // Books shared to the installed app, or opened with it
+    takeSharedFiles().then(openSystemFiles).catch(err => console.warn('Shared files unavailable:', err));
+    handleLaunchedFiles(openSystemFiles);
     
     console.log('App initialized');
 }
@@ -330,7 +650,7 @@ function setupEventListeners() {
             // Create a new input element to ensure the change event fires every time
             const newInput = document.createElement('input');
             newInput.type = 'file';
-            newInput.accept = '.pdf';
+            newInput.accept = BOOK_FILE_ACCEPT;
             newInput.style.display = 'none';
             
             newInput.addEventListener('change', (e) => {
@@ -413,36 +733,242 @@ function setupEventListeners() {
         });
         minChapterPageInput.addEventListener('change', saveSettings);
     }
+    if (chunkBookSelect && chunkModeSelect && chunkSizeInput && readingWpmInput) {
+        chunkBookSelect.addEventListener('change', () => fillChunkSettingsForm(getChunkSettings(chunkBookSelect.value)));
+        chunkModeSelect.addEventListener('change', () => {
+            // Show the target size the selected book already has for the new mode
+            fillChunkSettingsForm({ ...getChunkSettings(chunkBookSelect.value), mode: chunkModeSelect.value });
+            applyChunkSettingsForm();
+        });
+        chunkSizeInput.addEventListener('input', updateChunkSizeLabels);
+        readingWpmInput.addEventListener('input', updateChunkSizeLabels);
+        chunkSizeInput.addEventListener('change', applyChunkSettingsForm);
+        readingWpmInput.addEventListener('change', applyChunkSettingsForm);
+    }
+    if (interleaveTypeSelect) {
+        interleaveTypeSelect.addEventListener('change', applyInterleaveForm);
+        interleaveSizeInput.addEventListener('input', () => {
+            interleaveSizeDisplay.textContent = interleaveSizeInput.value;
+        });
+        interleaveSizeInput.addEventListener('change', applyInterleaveForm);
+        interleaveReshuffleBtn.addEventListener('click', () => {
+            const strategy = readInterleaveForm();
+            strategy.seed = Math.floor(Math.random() * 0xFFFFFFFF) + 1;
+            setInterleaveStrategy(strategy);
+        });
+    }
     
     // Handle scroll events for infinite scrolling
     readerContent.addEventListener('scroll', handleScroll);
+
+    // Touch gestures: swipe one screen at a time, tap the sides to page, long-press for a
+    // menu, double-tap to highlight or bookmark
+    attachGestures(readerContent, {
+        ignore: target => isHighlightPopoverOpen() || !!target.closest('button, a, input, select, textarea, mark.highlight'),
+        dragStart: startGestureDrag,
+        drag: dy => { readerContent.scrollTop = gestureDrag.top - dy; },
+        dragEnd: endGestureDrag,
+        tap: handleGestureTap,
+        doubleTap: handleGestureDoubleTap,
+        longPress: handleGestureLongPress
+    });
+    if (ocrEnabledCheckbox) {
+        ocrEnabledCheckbox.addEventListener('change', () => {
+            saveSettings();
+            if (!ocrEnabledCheckbox.checked) return;
+            // Check the engine is installed before any book relies on it
+            getOcrWorker().catch(() => {
+                alert('The OCR engine is not installed (run npm install to add vendor/tesseract-5.1.1/). Scanned pages will stay images.');
+                ocrEnabledCheckbox.checked = false;
+                saveSettings();
+            });
+        });
+    }
+    if (gestureLongPressSelect) {
+        gestureLongPressSelect.addEventListener('change', saveSettings);
+        gestureDoubleTapSelect.addEventListener('change', saveSettings);
+    }
+    if (syncTokenInput) {
+        syncTokenInput.value = loadSyncState().token;
+        syncTokenInput.addEventListener('change', () => setSyncToken(syncTokenInput.value.trim()));
+        syncNowBtn.addEventListener('click', () => syncNow());
+    }
     
     // Handle keyboard navigation
     document.addEventListener('keydown', handleKeyDown);
 
+    // Screens are one viewport tall; re-layout when it changes
+    window.addEventListener('resize', handleResize);
+
+    // Cancel book parsing from the reader header
+    if (ingestCancelBtn) {
+        ingestCancelBtn.addEventListener('click', cancelIngest);
+    }
+
+    // Reading stats: the clock stops while the tab is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            endStatsView();
+        } else if (totalPages) {
+            trackStatsView(currentPageNum);
+        }
+    });
+    window.addEventListener('pagehide', endStatsView);
+    if (statsBtn && statsScreen) {
+        statsBtn.addEventListener('click', openStatsScreen);
+        statsBackBtn.addEventListener('click', closeStatsScreen);
+        exportStatsJsonBtn.addEventListener('click', () => exportReadingStats('json'));
+        exportStatsCsvBtn.addEventListener('click', () => exportReadingStats('csv'));
+    }
+    if (serverLibraryEl) {
+        serverLibraryUploadBtn.addEventListener('click', pickServerLibraryFiles);
+        serverLibraryOpenBtn.addEventListener('click', openServerLibraryBooks);
+    }
+
     // Add more PDFs from reader screen
+    // Search
+    if (searchBtn && searchOverlay) {
+        searchBtn.addEventListener('click', openSearch);
+        searchCloseBtn.addEventListener('click', closeSearch);
+        searchOverlay.addEventListener('click', (e) => {
+            if (e.target === searchOverlay) closeSearch();
+        });
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(runSearch, 200);
+        });
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            clearTimeout(searchTimeout);
+            if (searchState.query !== searchInput.value) runSearch();
+            if (!searchState.results.length) return;
+            closeSearch();
+            stepSearchResult(e.shiftKey ? -1 : 1);
+        });
+    }
+
+    // Chapter navigator
+    if (chaptersBtn && chapterDrawer) {
+        chaptersBtn.addEventListener('click', openChapterDrawer);
+        chapterDrawerClose.addEventListener('click', closeChapterDrawer);
+        chapterDrawerBackdrop.addEventListener('click', closeChapterDrawer);
+        exportHighlightsMdBtn.addEventListener('click', () => exportHighlights(null, 'markdown'));
+        exportHighlightsJsonBtn.addEventListener('click', () => exportHighlights(null, 'json'));
+    }
+
+    // Autoplay: held while the pointer is over the text or a finger is down
+    if (autoplayBtn) {
+        autoplayBtn.addEventListener('click', toggleAutoplay);
+        autoplayWpmInput.addEventListener('input', () => {
+            autoplayWpmDisplay.textContent = autoplayWpmInput.value;
+        });
+        autoplayWpmInput.addEventListener('change', saveSettings);
+        readerContent.addEventListener('pointerover', (e) => {
+            if (e.pointerType === 'mouse') holdAutoplay(!!e.target.closest('.page-content'));
+        });
+        readerContent.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'mouse') holdAutoplay(false);
+        });
+        readerContent.addEventListener('touchstart', () => holdAutoplay(true), { passive: true });
+        readerContent.addEventListener('touchend', () => holdAutoplay(false));
+        readerContent.addEventListener('touchcancel', () => holdAutoplay(false));
+    }
+
+    // Read aloud
+    if (readAloudBtn) {
+        if (isSpeechSupported()) {
+            readAloudBtn.addEventListener('click', toggleReadAloud);
+            speechRateInput.addEventListener('input', () => {
+                speechRateDisplay.textContent = Number(speechRateInput.value).toFixed(1);
+            });
+            speechRateInput.addEventListener('change', saveSettings);
+            speechVoiceSelects.forEach(select => select.addEventListener('change', saveSettings));
+            // Voices load asynchronously in some browsers
+            speechSynthesis.addEventListener('voiceschanged', populateSpeechVoices);
+            populateSpeechVoices();
+        } else {
+            readAloudBtn.disabled = true;
+            readAloudBtn.title = 'Read aloud is not supported in this browser';
+        }
+    }
+
+    // Bookmarks and the saved-screens feed
+    if (bookmarkBtn && bookmarkFeed) {
+        bookmarkBtn.addEventListener('click', toggleCurrentBookmark);
+        savedBtn.addEventListener('click', openBookmarkFeed);
+        bookmarkFeedClose.addEventListener('click', closeBookmarkFeed);
+    }
+
+    // Highlights: select text to highlight it, click a highlight to edit it
+    if (highlightPopover) {
+        const onSelectionEnd = () => setTimeout(handleReaderSelection, 0);
+        readerContent.addEventListener('mouseup', onSelectionEnd);
+        readerContent.addEventListener('touchend', onSelectionEnd);
+        readerContent.addEventListener('click', (e) => {
+            const mark = e.target.closest('mark.highlight');
+            const selection = window.getSelection();
+            if (mark && (!selection || selection.isCollapsed)) openHighlightEditor(mark);
+        });
+        readerContent.addEventListener('scroll', closeHighlightPopover);
+        document.addEventListener('mousedown', (e) => {
+            if (isHighlightPopoverOpen() && !highlightPopover.contains(e.target)) closeHighlightPopover();
+        });
+        highlightPopover.querySelectorAll('.highlight-swatch').forEach(swatch => {
+            swatch.addEventListener('click', () => applyHighlightColor(swatch.dataset.color));
+        });
+        highlightSaveBtn.addEventListener('click', saveHighlightNote);
+        highlightDeleteBtn.addEventListener('click', deleteTargetHighlight);
+    }
+
     if (addFilesBtn) {
         addFilesBtn.addEventListener('click', (e) => {
             e.preventDefault();
-            const newInput = document.createElement('input');
-            newInput.type = 'file';
-            newInput.accept = '.pdf';
-            newInput.multiple = true;
-            newInput.style.display = 'none';
-            newInput.addEventListener('change', async () => {
-                const capacity = Math.max(0, 4 - booksState.length);
-                const files = Array.from(newInput.files || []).slice(0, capacity);
-                if (files.length > 0) {
-                    await processAdditionalFiles(files);
-                }
-                document.body.removeChild(newInput);
-            });
-            document.body.appendChild(newInput);
-            newInput.click();
+            pickAdditionalFiles();
+        });
+    }
+
+    // Session manager
+    if (booksBtn && sessionDrawer) {
+        booksBtn.addEventListener('click', openSessionDrawer);
+        sessionDrawerClose.addEventListener('click', closeSessionDrawer);
+        sessionDrawerBackdrop.addEventListener('click', closeSessionDrawer);
+        sessionAddBtn.addEventListener('click', pickAdditionalFiles);
+    }
+    if (maxBooksInput) {
+        maxBooksInput.addEventListener('input', () => {
+            maxBooksDisplay.textContent = maxBooksInput.value;
+        });
+        maxBooksInput.addEventListener('change', () => {
+            saveSettings();
+            updateMaxBooksLabels();
         });
     }
 }
 
+// Let the user pick more books for the open session, up to the book limit
+function pickAdditionalFiles() {
+    const capacity = Math.max(0, getMaxBooks() - booksState.length);
+    if (!capacity) {
+        alert(`This session already has ${booksState.length} books. Remove one, or raise the book limit in the settings.`);
+        return;
+    }
+    const newInput = document.createElement('input');
+    newInput.type = 'file';
+    newInput.accept = BOOK_FILE_ACCEPT;
+    newInput.multiple = true;
+    newInput.style.display = 'none';
+    newInput.addEventListener('change', async () => {
+        const files = Array.from(newInput.files || []).slice(0, capacity);
+        if (files.length > 0) {
+            await processAdditionalFiles(files);
+        }
+        document.body.removeChild(newInput);
+    });
+    document.body.appendChild(newInput);
+    newInput.click();
+}
+
 // Prevent default drag and drop behavior
 function preventDefaults(e) {
     e.preventDefault();
@@ -463,7 +989,7 @@ function unhighlight() {
 
 // Handle file selection via file input
 async function handleFileSelect(e) {
-    const files = Array.from(e.target.files || []).slice(0, 4);
+    const files = Array.from(e.target.files || []).slice(0, getMaxBooks());
     if (files.length) {
         await processMultipleFiles(files);
     }
@@ -472,12 +998,29 @@ async function handleFileSelect(e) {
 // Handle file drop
 async function handleDrop(e) {
     const dt = e.dataTransfer;
-    const files = Array.from(dt.files || []).filter(f => f.type === 'application/pdf').slice(0, 4);
+    const files = Array.from(dt.files || []).filter(isSupportedBookFile).slice(0, getMaxBooks());
     if (files.length) {
         await processMultipleFiles(files);
     }
 }
 
+// Books handed over by the system (share sheet, "Open with") start a new session
+async function openSystemFiles(files) {
+    const books = files.filter(isSupportedBookFile).slice(0, getMaxBooks());
+    if (books.length) {
+        await processMultipleFiles(books);
+    }
+}
+
+function isPdfFile(file) {
+    return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+// Files we can turn into books
+function isSupportedBookFile(file) {
+    return isPdfFile(file) || isEpubFile(file) || isTextBookFile(file);
+}
+
 // Process the uploaded PDF file
 async function processFile(file) {
     try {
@@ -490,8 +1033,6 @@ async function processFile(file) {
         // Load the PDF document
         const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
         currentPdf = await loadingTask.promise;
-        // We'll compute total screens dynamically while rendering
-        totalPages = 0;
         
         // Update UI
         documentTitle.textContent = file.name.replace(/\.pdf$/i, '');
@@ -508,12 +1049,11 @@ async function processFile(file) {
             lastModified: file.lastModified
         };
         
-        // Render the first few pages
-        await renderPages();
+        // Render every page into chunks of a single book
+        await renderPages({ id: makeBookId(file), name: file.name.replace(/\.pdf$/i, ''), cover: '', blocks: [], chunks: [] });
         
         // Switch to reader view
-        uploadScreen.classList.remove('active');
-        readerScreen.classList.add('active');
+        openReaderScreen();
         
         // Save to recent documents
         saveToRecentDocuments(currentDocument);
@@ -525,130 +1065,30 @@ async function processFile(file) {
     }
 }
 
-// Render all pages of the PDF into sentence-based chunks
-async function renderPages() {
+// Extract all pages of the PDF into blocks of book, chunk them and show it
+async function renderPages(book) {
     if (!currentPdf) return;
     
-    // Clear existing content
-    readerContent.innerHTML = '';
-    pages = [];
-    totalPages = 0;
-    currentPageNum = 1;
-    totalPagesEl.textContent = '0';
-    
-    const numPages = currentPdf.numPages;
-    let foundChapterStart = !shouldSkipFrontMatter();
-    for (let i = 1; i <= numPages; i++) {
-        await renderPage(i, { foundChapterStartRef: () => foundChapterStart, setFound: () => { foundChapterStart = true; } });
-    }
+    await extractPdfBlocks(currentPdf, {
+        skipFrontMatter: shouldSkipFrontMatter(),
+        minChapterPage: getMinChapterPage()
+    }, {
+        createCanvas: (width, height) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        },
+        canvasToDataUrl: (canvas, quality) => canvas.toDataURL('image/jpeg', quality),
+        onBlocks: blocks => book.blocks.push(...blocks),
+        onProgress: () => {},
+        isCancelled: () => false
+    });
+    rechunkBook(book, getChunkSettings(book.id));
     
-    // Scroll to first screen
-    setTimeout(() => {
-        const pageElement = document.querySelector(`.page[data-page-number="1"]`);
-        if (pageElement) {
-            pageElement.scrollIntoView({ behavior: 'auto', block: 'start' });
-            updateProgress(1);
-            updateNavigation();
-        }
-    }, 100);
-}
-
-// Render a single page
-async function renderPage(pageNumber, opts = {}) {
-    try {
-        const page = await currentPdf.getPage(pageNumber);
-        const viewport = page.getViewport({ scale: 1.5 });
-        
-        // Create page container
-        const pageDiv = document.createElement('div');
-        pageDiv.className = 'page';
-        pageDiv.dataset.pageNumber = pageNumber;
-        
-        // Extract text content with normalization
-        let textItems = '';
-        try {
-            const textContent = await page.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
-            textItems = textContent.items.map(item => item.str).join(' ').trim();
-        } catch (err) {
-            console.warn(`Text extraction failed for page ${pageNumber}:`, err);
-        }
-
-        // Handle front matter skipping (single-file flow)
-        let foundChapterStart = opts.foundChapterStartRef ? opts.foundChapterStartRef() : true;
-        if (!foundChapterStart) {
-            const cutIndex = findChapterStartIndex(textItems, pageNumber);
-            if (cutIndex >= 0) {
-                if (opts.setFound) opts.setFound();
-                foundChapterStart = true;
-                textItems = textItems.slice(cutIndex);
-            } else {
-                // Skip entire page
-                return null;
-            }
-        }
-
-        if (textItems && textItems.length > 0) {
-            // Split into 4-sentence chunks
-            const chunks = splitIntoSentenceChunks(textItems, 4);
-            for (const chunkText of chunks) {
-                const chunkDiv = document.createElement('div');
-                chunkDiv.className = 'page';
-                const contentDiv = document.createElement('div');
-                contentDiv.className = 'page-content';
-                contentDiv.textContent = chunkText;
-                chunkDiv.appendChild(contentDiv);
-                totalPages += 1;
-                chunkDiv.dataset.pageNumber = String(totalPages);
-                readerContent.appendChild(chunkDiv);
-                pages[totalPages] = { element: chunkDiv, rendered: true };
-            }
-        } else {
-            // Fallback: render the whole PDF page to a canvas as a single chunk
-            if (foundChapterStart) {
-                const canvas = document.createElement('canvas');
-                const context = canvas.getContext('2d');
-                const scale = 1.25;
-                const fallbackViewport = page.getViewport({ scale });
-                canvas.width = Math.floor(fallbackViewport.width);
-                canvas.height = Math.floor(fallbackViewport.height);
-                const renderContext = { canvasContext: context, viewport: fallbackViewport };
-                await page.render(renderContext).promise;
-                const canvasContainer = document.createElement('div');
-                canvasContainer.className = 'page';
-                canvasContainer.appendChild(canvas);
-                totalPages += 1;
-                canvasContainer.dataset.pageNumber = String(totalPages);
-                readerContent.appendChild(canvasContainer);
-                pages[totalPages] = { element: canvasContainer, rendered: true };
-            } else {
-                return null;
-            }
-        }
-        
-        // Update totals in UI
-        totalPagesEl.textContent = String(totalPages);
-        pageIndicator.textContent = `Page ${currentPageNum} of ${totalPages}`;
-        
-        return null;
-    } catch (error) {
-        console.error(`Error rendering page ${pageNumber}:`, error);
-        return null;
-    }
-}
-
-// Split text into chunks of N sentences, keeping punctuation
-function splitIntoSentenceChunks(text, sentencesPerChunk = 4) {
-    // Split by sentence terminators while keeping them attached
-    const sentences = text
-        .split(/(?<=\.)\s+/)
-        .map(s => s.trim())
-        .filter(s => s.length > 0);
-    const chunks = [];
-    for (let i = 0; i < sentences.length; i += sentencesPerChunk) {
-        const group = sentences.slice(i, i + sentencesPerChunk);
-        chunks.push(group.join(' '));
-    }
-    return chunks;
+    booksState = [book];
+    sessionFiles = [null];
+    interleaveBooksIntoScreens(booksState);
 }
 
 // Update progress bar and text
@@ -661,7 +1101,11 @@ function updateProgress(currentPage) {
     
     // Update current page indicator
     currentPageEl.textContent = currentPage;
-    pageIndicator.textContent = `Page ${currentPage} of ${totalPages}`;
+    pageIndicator.textContent = formatPageIndicator(currentPage);
+    
+    // Remember where we are inside the book shown on this screen
+    saveBookPosition(currentPage);
+    trackStatsView(currentPage);
     
     // Update document progress
     if (currentDocument) {
@@ -672,92 +1116,1453 @@ function updateProgress(currentPage) {
     }
 }
 
-// Handle scroll events for infinite scrolling
+// "Page 3 of 40 · Chapter 2" (the chapter of the chunk shown on that screen, when known)
+function formatPageIndicator(screenNumber) {
+    const entry = screenMap[screenNumber];
+    const book = entry && booksState[entry.bookIndex];
+    const chunk = book && book.chunks[entry.chunkIndex];
+    const page = `Page ${screenNumber} of ${totalPages}`;
+    return chunk && chunk.chapter ? `${page} · ${chunk.chapter}` : page;
+}
+
+// Handle scroll events: keep the mounted window under the viewport, then settle the current screen
 function handleScroll() {
+    const visible = getScreenAtScrollPosition();
+    if (visible) loadAdjacentPages(visible);
     if (isScrolling) return;
     
     clearTimeout(scrollTimeout);
     scrollTimeout = setTimeout(() => {
-        const scrollPosition = readerContent.scrollTop + (readerContent.clientHeight / 2);
-        const pageElements = document.querySelectorAll('.page');
-        
-        // Find the current page based on scroll position
-        for (let i = 0; i < pageElements.length; i++) {
-            const element = pageElements[i];
-            const rect = element.getBoundingClientRect();
-            const elementMiddle = rect.top + (rect.height / 2) - readerContent.getBoundingClientRect().top;
-            
-            if (elementMiddle >= 0 && elementMiddle <= readerContent.clientHeight) {
-                const pageNumber = parseInt(element.dataset.pageNumber);
-                if (pageNumber !== currentPageNum) {
-                    currentPageNum = pageNumber;
-                    updateProgress(currentPageNum);
-                    updateNavigation();
-                    loadAdjacentPages();
-                }
-                break;
-            }
+        const pageNumber = getScreenAtScrollPosition();
+        if (pageNumber && pageNumber !== currentPageNum) {
+            currentPageNum = pageNumber;
+            updateProgress(currentPageNum);
+            updateNavigation();
+            loadAdjacentPages();
         }
     }, 100);
 }
 
-// Load adjacent pages as needed
-function loadAdjacentPages() {
-    if (!currentPdf) return;
+// Screen under the middle of the viewport (every screen is exactly one stride tall)
+function getScreenAtScrollPosition() {
+    if (!screenStride || !totalPages) return 0;
+    const middle = readerContent.scrollTop + (readerContent.clientHeight / 2);
+    return Math.min(totalPages, Math.max(1, Math.floor(middle / screenStride) + 1));
+}
+
+// Mount the screens around center (the current one by default) and recycle the rest
+function loadAdjacentPages(center = currentPageNum) {
+    if (!screenListEl) return;
     
-    const startPage = Math.max(1, currentPageNum - 1);
-    const endPage = Math.min(totalPages, currentPageNum + 3);
+    const startPage = Math.max(1, center - SCREEN_OVERSCAN);
+    const endPage = Math.min(totalPages, center + SCREEN_OVERSCAN);
     
+    for (const n of Array.from(mountedScreens)) {
+        if (n < startPage || n > endPage) unmountScreen(n);
+    }
     for (let i = startPage; i <= endPage; i++) {
         if (!pages[i] || !pages[i].rendered) {
-            renderPage(i);
+            mountScreen(i);
         }
     }
 }
 
-// Update navigation buttons state
-function updateNavigation() {
-    prevPageBtn.disabled = currentPageNum <= 1;
-    nextPageBtn.disabled = currentPageNum >= totalPages;
+// Build (or reuse) the element for screen n and place it in the list
+function mountScreen(n) {
+    const entry = screenMap[n];
+    const book = entry && booksState[entry.bookIndex];
+    const chunk = book && book.chunks[entry.chunkIndex];
+    if (!chunk) return;
+
+    const screen = recycledScreens.pop() || createScreenElement();
+    fillScreen(screen, entry, book, chunk);
+    screen.dataset.pageNumber = String(n);
+    positionScreen(screen, n);
+    screen.scrollTop = 0;
+    screenListEl.appendChild(screen);
+    pages[n] = { element: screen, rendered: true };
+    mountedScreens.add(n);
 }
 
-// Go to previous page
-function goToPreviousPage() {
-    if (currentPageNum > 1) {
-        currentPageNum--;
-        scrollToPage(currentPageNum);
+// Render a chunk into a screen element (cover background, paragraphs or page image)
+function fillScreen(screen, entry, book, chunk) {
+    const content = screen.firstChild;
+    screen.style.backgroundImage = book.cover ? `url(${book.cover})` : '';
+    content.textContent = '';
+    screen.classList.remove('show-page-image');
+    screen.querySelectorAll('.ocr-badge, .ocr-page-image').forEach(el => el.remove());
+    if (chunk.type === 'text') {
+        // Saved highlights, then the spoken sentence and the search match on top of them
+        const marks = getChunkHighlights(getBookHighlights(book.id), chunk).map(h => ({
+            start: h.start,
+            end: h.end,
+            className: `highlight highlight-${h.color}${h.note ? ' has-note' : ''}`,
+            id: h.id,
+            note: h.note
+        }));
+        if (speechHighlight && speechHighlight.bookIndex === entry.bookIndex
+            && speechHighlight.chunkIndex === entry.chunkIndex) {
+            marks.push({ start: speechHighlight.start, end: speechHighlight.end, className: 'tts-sentence' });
+        }
+        if (searchHighlight && searchHighlight.bookIndex === entry.bookIndex
+            && searchHighlight.chunkIndex === entry.chunkIndex) {
+            marks.push({ start: searchHighlight.start, end: searchHighlight.end, className: 'search-hit' });
+        }
+        // One <p> per paragraph of the chunk
+        let offset = 0;
+        for (const paragraph of chunk.content.split('\n')) {
+            const p = document.createElement('p');
+            appendMarkedText(p, paragraph, offset, marks);
+            content.appendChild(p);
+            offset += paragraph.length + 1;
+        }
+        if (chunk.ocr) appendOcrBadge(screen, book, chunk);
+    } else if (chunk.type === 'image') {
+        const img = document.createElement('img');
+        img.src = chunk.content;
+        img.alt = 'Page';
+        img.style.width = '100%';
+        img.style.height = 'auto';
+        content.appendChild(img);
     }
 }
 
-// Go to next page
-function goToNextPage() {
-    if (currentPageNum < totalPages) {
-        currentPageNum++;
-        scrollToPage(currentPageNum);
-    }
+// Text read from a scanned page: how sure the OCR was, and a toggle to the page image
+function appendOcrBadge(screen, book, chunk) {
+    const { page, confidence } = chunk.ocr;
+    const image = findOcrPageImage(book, page);
+    const badge = document.createElement('button');
+    badge.className = `ocr-badge ocr-${getOcrConfidenceLevel(confidence)}`;
+    badge.textContent = `OCR ${confidence}%`;
+    badge.title = `Text read from a scanned page (${confidence}% confidence)${image ? '. Show the page' : ''}`;
+    badge.setAttribute('aria-pressed', 'false');
+    badge.disabled = !image;
+    badge.addEventListener('click', () => {
+        const showing = screen.classList.toggle('show-page-image');
+        badge.setAttribute('aria-pressed', String(showing));
+        badge.textContent = showing ? 'Text' : `OCR ${confidence}%`;
+        if (showing && !screen.querySelector('.ocr-page-image')) {
+            const img = document.createElement('img');
+            img.className = 'ocr-page-image';
+            img.src = image;
+            img.alt = `Page ${page}`;
+            screen.appendChild(img);
+        }
+    });
+    screen.appendChild(badge);
 }
 
-// Scroll to specific page
-function scrollToPage(pageNumber) {
-    const pageElement = document.querySelector(`.page[data-page-number="${pageNumber}"]`);
-    if (pageElement) {
-        isScrolling = true;
-        pageElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        updateProgress(pageNumber);
-        updateNavigation();
-        
-        // Reset scrolling flag after animation
-        setTimeout(() => {
-            isScrolling = false;
-        }, 500);
+// Append text (starting at offset in the chunk) to el, wrapping the parts covered by marks
+// ({ start, end, className, id?, note? } in chunk offsets; later marks win where they overlap)
+function appendMarkedText(el, text, offset, marks) {
+    const local = marks.filter(m => m.start < offset + text.length && m.end > offset);
+    if (!local.length) {
+        el.textContent = text;
+        return;
+    }
+    const clamp = x => Math.min(text.length, Math.max(0, x - offset));
+    const cuts = [...new Set([0, text.length, ...local.flatMap(m => [clamp(m.start), clamp(m.end)])])]
+        .sort((a, b) => a - b);
+    for (let i = 0; i < cuts.length - 1; i++) {
+        const piece = text.slice(cuts[i], cuts[i + 1]);
+        const at = offset + cuts[i];
+        const cover = local.filter(m => m.start <= at && m.end > at).pop();
+        if (!cover) {
+            el.append(piece);
+            continue;
+        }
+        const mark = document.createElement('mark');
+        mark.className = cover.className;
+        if (cover.id) mark.dataset.highlightId = cover.id;
+        if (cover.note) mark.title = cover.note;
+        mark.textContent = piece;
+        el.appendChild(mark);
     }
 }
 
-// Handle keyboard navigation
-function handleKeyDown(e) {
-    if (!readerScreen.classList.contains('active')) return;
-    
-    switch (e.key) {
+// Re-render a mounted screen in place (e.g. after its highlight changed)
+function refreshScreen(n) {
+    const entry = screenMap[n];
+    if (!pages[n] || !entry) return;
+    const book = booksState[entry.bookIndex];
+    fillScreen(pages[n].element, entry, book, book.chunks[entry.chunkIndex]);
+}
+
+function createScreenElement() {
+    const screen = document.createElement('div');
+    screen.className = 'page book-bg';
+    const content = document.createElement('div');
+    content.className = 'page-content framed';
+    screen.appendChild(content);
+    return screen;
+}
+
+function unmountScreen(n) {
+    const entry = pages[n];
+    delete pages[n];
+    mountedScreens.delete(n);
+    if (!entry) return;
+    entry.element.remove();
+    if (recycledScreens.length < MAX_RECYCLED_SCREENS) recycledScreens.push(entry.element);
+}
+
+function positionScreen(screen, n) {
+    screen.style.top = `${(n - 1) * screenStride + SCREEN_GAP / 2}px`;
+    screen.style.height = `${screenStride - SCREEN_GAP}px`;
+}
+
+// Measure the viewport and lay out the list; called on reset and on resize
+function layoutScreenList() {
+    if (!screenListEl) return;
+    screenStride = readerContent.clientHeight || window.innerHeight;
+    screenListEl.style.height = `${totalPages * screenStride}px`;
+    mountedScreens.forEach(n => positionScreen(pages[n].element, n));
+}
+
+function handleResize() {
+    if (!screenListEl || !readerScreen.classList.contains('active')) return;
+    const stride = readerContent.clientHeight;
+    if (!stride || stride === screenStride) return;
+    layoutScreenList();
+    jumpToScreen(currentPageNum);
+}
+
+// Instantly show screen n (used for resume and large jumps)
+function jumpToScreen(n) {
+    if (!totalPages) return;
+    currentPageNum = Math.min(totalPages, Math.max(1, n));
+    loadAdjacentPages();
+    readerContent.scrollTo({ top: (currentPageNum - 1) * screenStride, behavior: 'instant' });
+    updateProgress(currentPageNum);
+    updateNavigation();
+}
+
+// Update navigation buttons state
+function updateNavigation() {
+    prevPageBtn.disabled = currentPageNum <= 1;
+    nextPageBtn.disabled = currentPageNum >= totalPages;
+    updateBookmarkButton();
+    // Moving to another screen by hand pauses reading aloud, and restarts the autoplay hold
+    if (readAloud.active && currentPageNum !== readAloud.screen) stopReadAloud();
+    if (autoplay.active && currentPageNum !== autoplay.screen) onAutoplayManualMove();
+}
+
+// Go to previous page
+function goToPreviousPage() {
+    if (currentPageNum > 1) {
+        currentPageNum--;
+        scrollToPage(currentPageNum);
+    }
+}
+
+// Go to next page
+function goToNextPage() {
+    if (currentPageNum < totalPages) {
+        currentPageNum++;
+        scrollToPage(currentPageNum);
+    }
+}
+
+// Scroll to specific page; far jumps are instant so we don't animate through (and mount) every screen between
+function scrollToPage(pageNumber) {
+    if (!screenListEl || pageNumber < 1 || pageNumber > totalPages) return;
+    const from = getScreenAtScrollPosition() || pageNumber;
+    isScrolling = true;
+    loadAdjacentPages(pageNumber);
+    readerContent.scrollTo({
+        top: (pageNumber - 1) * screenStride,
+        behavior: Math.abs(pageNumber - from) > SCREEN_OVERSCAN ? 'instant' : 'smooth'
+    });
+    updateProgress(pageNumber);
+    updateNavigation();
+    
+    // Reset scrolling flag after animation
+    setTimeout(() => {
+        isScrolling = false;
+    }, 500);
+}
+
+// Touch gestures on the reader
+
+function startGestureDrag() {
+    gestureDrag = { top: readerContent.scrollTop, screen: currentPageNum };
+    isScrolling = true; // the drag settles on its screen itself, not handleScroll
+    readerContent.classList.add('dragging');
+}
+
+// Settle on the next or previous screen, or back on the one the drag started from
+function endGestureDrag(dy, velocity) {
+    if (!gestureDrag) return;
+    const { screen } = gestureDrag;
+    gestureDrag = null;
+    readerContent.classList.remove('dragging');
+    if (!totalPages) {
+        isScrolling = false;
+        return;
+    }
+    currentPageNum = Math.min(totalPages, Math.max(1, screen + getSwipeStep(dy, velocity, screenStride)));
+    scrollToPage(currentPageNum);
+}
+
+// Taps on the left and right edges page back and forward
+function handleGestureTap(point) {
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed) return;
+    const rect = readerContent.getBoundingClientRect();
+    const x = (point.x - rect.left) / rect.width;
+    if (x < GESTURE_TAP_ZONE) {
+        goToPreviousPage();
+    } else if (x > 1 - GESTURE_TAP_ZONE) {
+        goToNextPage();
+    }
+}
+
+// Highlight the sentence tapped, or bookmark the screen (also when there is no text to highlight)
+function handleGestureDoubleTap(point) {
+    if (getGestureSettings().doubleTap === 'highlight' && offerSentenceHighlight(point.x, point.y)) return;
+    toggleCurrentBookmark();
+}
+
+function handleGestureLongPress() {
+    const selection = window.getSelection();
+    if (selection) selection.removeAllRanges();
+    if (navigator.vibrate) navigator.vibrate(10);
+    if (getGestureSettings().longPress === 'settings') {
+        if (!settingsPanel.classList.contains('active')) toggleSettings();
+    } else {
+        openChapterDrawer();
+    }
+}
+
+function getGestureSettings() {
+    const saved = JSON.parse(localStorage.getItem('pdfReaderSettings') || '{}');
+    return { ...DEFAULT_GESTURE_SETTINGS, ...(saved.gestures || {}) };
+}
+
+// Search overlay: matches across every open book, in reading order
+
+function openSearch() {
+    searchOverlay.classList.add('open');
+    searchOverlay.setAttribute('aria-hidden', 'false');
+    searchInput.focus();
+    searchInput.select();
+}
+
+function closeSearch() {
+    searchOverlay.classList.remove('open');
+    searchOverlay.setAttribute('aria-hidden', 'true');
+    searchInput.blur();
+}
+
+function isSearchOpen() {
+    return !!searchOverlay && searchOverlay.classList.contains('open');
+}
+
+function runSearch() {
+    const query = searchInput.value;
+    const results = searchBooks(booksState, query);
+    const screens = findScreensForChunks(booksState.map((_, i) => results.filter(r => r.bookIndex === i).map(r => r.chunkIndex)));
+    results.forEach(r => { r.screen = screens[r.bookIndex].get(r.chunkIndex) || 0; });
+    // Session reading order; matches in chunks that have no screen yet (still loading) go last
+    const order = r => r.screen || Number.MAX_SAFE_INTEGER;
+    results.sort((a, b) => (order(a) - order(b)) || (a.start - b.start));
+    searchState = { query, results, index: -1 };
+    renderSearchResults();
+}
+
+function renderSearchResults() {
+    const { query, results } = searchState;
+    searchResultsEl.innerHTML = '';
+    if (query.trim().length < SEARCH_MIN_CHARS) {
+        searchSummary.textContent = '';
+        return;
+    }
+    if (!results.length) {
+        searchSummary.textContent = 'No matches';
+        return;
+    }
+    searchSummary.textContent = results.length >= SEARCH_MAX_RESULTS
+        ? `First ${results.length} matches`
+        : `${results.length} match${results.length === 1 ? '' : 'es'}`;
+
+    results.forEach((result, i) => {
+        const book = booksState[result.bookIndex];
+        const chunk = book.chunks[result.chunkIndex];
+        const snippet = makeSearchSnippet(chunk.content, result.start, result.end);
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'search-result';
+        if (i === searchState.index) button.classList.add('current');
+        button.disabled = !result.screen;
+
+        const bookName = document.createElement('span');
+        bookName.className = 'search-result-book';
+        bookName.textContent = chunk.chapter ? `${book.name} · ${chunk.chapter}` : book.name;
+        const text = document.createElement('span');
+        text.className = 'search-result-snippet';
+        const mark = document.createElement('mark');
+        mark.textContent = snippet.match;
+        text.append(snippet.before, mark, snippet.after);
+        button.append(bookName, text);
+
+        button.addEventListener('click', () => {
+            closeSearch();
+            goToSearchResult(i);
+        });
+        item.appendChild(button);
+        searchResultsEl.appendChild(item);
+    });
+}
+
+// Show result i: scroll to its screen and mark the match there
+function goToSearchResult(i) {
+    const result = searchState.results[i];
+    if (!result || !result.screen) return;
+    searchState.index = i;
+    setSearchHighlight(result);
+    currentPageNum = result.screen;
+    scrollToPage(result.screen);
+    // Long chunks scroll inside their screen; bring the match into view
+    const screen = pages[result.screen] && pages[result.screen].element;
+    const mark = screen && screen.querySelector('mark.search-hit');
+    if (mark) screen.scrollTop = Math.max(0, mark.offsetTop - screen.clientHeight / 3);
+}
+
+// Next (1) or previous (-1) match; the first step goes to the nearest match from the current screen
+function stepSearchResult(delta) {
+    const placed = searchState.results.filter(r => r.screen).length;
+    if (!placed) return;
+    let i;
+    if (searchState.index < 0) {
+        const results = searchState.results.slice(0, placed);
+        i = delta > 0
+            ? results.findIndex(r => r.screen >= currentPageNum)
+            : results.map(r => r.screen <= currentPageNum).lastIndexOf(true);
+        if (i < 0) i = delta > 0 ? 0 : placed - 1;
+    } else {
+        i = (searchState.index + delta + placed) % placed;
+    }
+    goToSearchResult(i);
+}
+
+function setSearchHighlight(result) {
+    const previous = searchHighlight;
+    searchHighlight = result ? {
+        bookIndex: result.bookIndex,
+        chunkIndex: result.chunkIndex,
+        start: result.start,
+        end: result.end,
+        screen: result.screen
+    } : null;
+    if (previous) refreshScreen(previous.screen);
+    if (searchHighlight) refreshScreen(searchHighlight.screen);
+}
+
+// Highlights and notes on the text of a screen
+
+// After a mouse or touch selection: offer to highlight it when it lies within one text screen
+function handleReaderSelection() {
+    // A touch selection made by the long press that opened a menu is not meant to highlight
+    if (isChapterDrawerOpen() || settingsPanel.classList.contains('active')) return;
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || !selection.rangeCount) return;
+    const range = selection.getRangeAt(0);
+    const container = range.commonAncestorContainer;
+    const content = (container.nodeType === 1 ? container : container.parentElement).closest('.page-content');
+    const at = getContentChunk(content);
+    if (!at || at.chunk.type !== 'text') return;
+
+    const start = getContentOffset(content, range.startContainer, range.startOffset);
+    const end = getContentOffset(content, range.endContainer, range.endOffset);
+    offerHighlight(at, start, end, range.getBoundingClientRect());
+}
+
+// Double tap: offer to highlight the sentence under the finger; false when there is no text there
+function offerSentenceHighlight(x, y) {
+    const caret = getCaretAtPoint(x, y);
+    const node = caret && (caret.node.nodeType === 1 ? caret.node : caret.node.parentElement);
+    const content = node && node.closest('.page-content');
+    const at = getContentChunk(content);
+    if (!at || at.chunk.type !== 'text') return false;
+    const offset = getContentOffset(content, caret.node, caret.offset);
+    const spans = segmentSentenceSpans(at.chunk.content, at.book.lang);
+    const sentence = spans.filter(s => s.start <= offset).pop() || spans[0];
+    if (!sentence) return false;
+    return offerHighlight(at, sentence.start, sentence.start + sentence.text.length, { left: x, width: 0, top: y, bottom: y });
+}
+
+// Text position under a point ({ node, offset }), in the API the browser has
+function getCaretAtPoint(x, y) {
+    if (document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(x, y);
+        return position && { node: position.offsetNode, offset: position.offset };
+    }
+    if (document.caretRangeFromPoint) {
+        const range = document.caretRangeFromPoint(x, y);
+        return range && { node: range.startContainer, offset: range.startOffset };
+    }
+    return null;
+}
+
+// What a screen's .page-content shows: { entry, book, chunk }, or null
+function getContentChunk(content) {
+    if (!content) return null;
+    const entry = screenMap[Number(content.parentElement.dataset.pageNumber)];
+    const book = entry && booksState[entry.bookIndex];
+    const chunk = book && book.chunks[entry.chunkIndex];
+    return chunk ? { entry, book, chunk } : null;
+}
+
+// Show the highlight popover next to rect for chunk text start..end (trimmed of spaces);
+// false when that is only spaces
+function offerHighlight(at, start, end, rect) {
+    const { entry, chunk } = at;
+    end = Math.min(chunk.content.length, end);
+    while (start < end && /\s/.test(chunk.content[start])) start++;
+    while (end > start && /\s/.test(chunk.content[end - 1])) end--;
+    if (end <= start) return false;
+
+    highlightTarget = {
+        bookIndex: entry.bookIndex,
+        range: {
+            start: chunk.offset + start,
+            end: chunk.offset + end,
+            text: chunk.content.slice(start, end),
+            chapter: chunk.chapter
+        }
+    };
+    showHighlightPopover(rect, null);
+    return true;
+}
+
+// Offset in the chunk text of a DOM position inside a screen's content (paragraphs are
+// <p> elements joined by '\n' in the chunk)
+function getContentOffset(content, node, offset) {
+    let base = 0;
+    const paragraphs = Array.from(content.children);
+    for (let i = 0; i < paragraphs.length; i++) {
+        const p = paragraphs[i];
+        if (node === content && offset === i) return base;
+        if (p === node || p.contains(node)) {
+            const range = document.createRange();
+            range.setStart(p, 0);
+            range.setEnd(node, offset);
+            return base + range.toString().length;
+        }
+        base += p.textContent.length + 1;
+    }
+    return Math.max(0, base - 1);
+}
+
+function openHighlightEditor(mark) {
+    const screen = mark.closest('.page');
+    const entry = screen && screenMap[Number(screen.dataset.pageNumber)];
+    const book = entry && booksState[entry.bookIndex];
+    const highlight = book && getBookHighlights(book.id).find(h => h.id === mark.dataset.highlightId);
+    if (!highlight) return;
+    highlightTarget = { bookIndex: entry.bookIndex, id: highlight.id };
+    showHighlightPopover(mark.getBoundingClientRect(), highlight);
+}
+
+// Show the popover under (or above) rect; highlight is the one being edited, null for new text
+function showHighlightPopover(rect, highlight) {
+    highlightNoteInput.value = highlight ? highlight.note : '';
+    highlightDeleteBtn.hidden = !highlight;
+    markHighlightSwatch(highlight ? highlight.color : null);
+    highlightPopover.classList.add('open');
+    highlightPopover.setAttribute('aria-hidden', 'false');
+
+    const width = highlightPopover.offsetWidth;
+    const height = highlightPopover.offsetHeight;
+    const left = Math.min(window.innerWidth - width - 8, Math.max(8, rect.left + rect.width / 2 - width / 2));
+    const below = rect.bottom + 8;
+    const top = below + height > window.innerHeight ? Math.max(8, rect.top - height - 8) : below;
+    highlightPopover.style.left = `${left}px`;
+    highlightPopover.style.top = `${top}px`;
+}
+
+function closeHighlightPopover() {
+    if (!isHighlightPopoverOpen()) return;
+    highlightPopover.classList.remove('open');
+    highlightPopover.setAttribute('aria-hidden', 'true');
+    highlightTarget = null;
+}
+
+function isHighlightPopoverOpen() {
+    return !!highlightPopover && highlightPopover.classList.contains('open');
+}
+
+function markHighlightSwatch(color) {
+    highlightPopover.querySelectorAll('.highlight-swatch').forEach(swatch => {
+        swatch.classList.toggle('selected', swatch.dataset.color === color);
+    });
+}
+
+// A swatch highlights the selected text right away, or recolors the highlight being edited
+function applyHighlightColor(color) {
+    const target = highlightTarget;
+    if (!target) return;
+    const book = booksState[target.bookIndex];
+    if (target.id) {
+        updateHighlight(book.id, target.id, { color });
+        markHighlightSwatch(color);
+    } else {
+        addHighlight(book, target.range, color, highlightNoteInput.value);
+        window.getSelection().removeAllRanges();
+        closeHighlightPopover();
+    }
+    refreshBookScreens(target.bookIndex);
+}
+
+function saveHighlightNote() {
+    const target = highlightTarget;
+    if (!target) return;
+    const book = booksState[target.bookIndex];
+    if (target.id) {
+        updateHighlight(book.id, target.id, { note: highlightNoteInput.value });
+    } else {
+        addHighlight(book, target.range, HIGHLIGHT_COLORS[0], highlightNoteInput.value);
+        window.getSelection().removeAllRanges();
+    }
+    closeHighlightPopover();
+    refreshBookScreens(target.bookIndex);
+}
+
+function deleteTargetHighlight() {
+    const target = highlightTarget;
+    if (!target || !target.id) return;
+    removeHighlight(booksState[target.bookIndex].id, target.id);
+    closeHighlightPopover();
+    refreshBookScreens(target.bookIndex);
+}
+
+// Re-render the mounted screens of one book
+function refreshBookScreens(bookIndex) {
+    mountedScreens.forEach(n => {
+        if (screenMap[n] && screenMap[n].bookIndex === bookIndex) refreshScreen(n);
+    });
+}
+
+// Autoplay: hold each screen for its reading time at the autoplay WPM, then scroll to the next
+
+function toggleAutoplay() {
+    if (autoplay.active) {
+        stopAutoplay();
+    } else {
+        startAutoplay();
+    }
+}
+
+function startAutoplay() {
+    if (!totalPages) return;
+    if (readAloud.active) stopReadAloud();
+    autoplay.active = true;
+    autoplay.held = false;
+    autoplay.signals = [];
+    updateAutoplayButton();
+    holdScreen(currentPageNum);
+}
+
+function stopAutoplay() {
+    clearTimeout(autoplay.timer);
+    autoplay.active = false;
+    updateAutoplayButton();
+    updateAutoplayCountdown(false);
+}
+
+// Start the countdown for screen n
+function holdScreen(n) {
+    const entry = screenMap[n];
+    const book = entry && booksState[entry.bookIndex];
+    autoplay.screen = n;
+    autoplay.holdMs = getScreenHoldMs(book && book.chunks[entry.chunkIndex], getAutoplaySettings().wpm);
+    autoplay.remainingMs = autoplay.holdMs;
+    autoplay.enteredAt = Date.now();
+    runAutoplayTimer();
+}
+
+function runAutoplayTimer() {
+    clearTimeout(autoplay.timer);
+    if (!autoplay.active) return;
+    if (autoplay.held) {
+        updateAutoplayCountdown(false);
+        return;
+    }
+    autoplay.startedAt = Date.now();
+    autoplay.timer = setTimeout(advanceAutoplay, autoplay.remainingMs);
+    updateAutoplayCountdown(true);
+}
+
+// Pause the countdown while held (hover, touch) and carry on with the time that was left
+function holdAutoplay(held) {
+    if (!autoplay.active || autoplay.held === held) return;
+    autoplay.held = held;
+    if (held) {
+        clearTimeout(autoplay.timer);
+        autoplay.remainingMs = Math.max(0, autoplay.remainingMs - (Date.now() - autoplay.startedAt));
+        updateAutoplayCountdown(false);
+    } else {
+        runAutoplayTimer();
+    }
+}
+
+function advanceAutoplay() {
+    if (autoplay.screen >= totalPages) {
+        // Books still loading will add screens; otherwise the feed is over
+        if (isIngestRunning()) {
+            autoplay.remainingMs = 1000;
+            runAutoplayTimer();
+        } else {
+            stopAutoplay();
+        }
+        return;
+    }
+    recordAutoplaySignal('ontime');
+    const next = autoplay.screen + 1;
+    autoplay.screen = next;
+    currentPageNum = next;
+    scrollToPage(next);
+    holdScreen(next);
+}
+
+// The reader moved on their own: leaving before the time was up is a skip, going back means
+// the screen went by too fast
+function onAutoplayManualMove() {
+    if (currentPageNum < autoplay.screen) {
+        recordAutoplaySignal('back');
+    } else if (Date.now() - autoplay.enteredAt < autoplay.holdMs) {
+        recordAutoplaySignal('ahead');
+    }
+    holdScreen(currentPageNum);
+}
+
+function recordAutoplaySignal(kind) {
+    autoplay.signals = [...autoplay.signals, kind].slice(-AUTOPLAY_ADAPT_WINDOW);
+    const { wpm } = getAutoplaySettings();
+    const adapted = adaptAutoplayWpm(wpm, autoplay.signals);
+    if (adapted === wpm) return;
+    autoplay.signals = [];
+    autoplayWpmInput.value = String(adapted);
+    autoplayWpmDisplay.textContent = String(adapted);
+    saveSettings();
+}
+
+// Countdown bar: drains over the time left on the screen, frozen while held
+function updateAutoplayCountdown(running) {
+    if (!autoplayCountdown) return;
+    autoplayCountdown.classList.toggle('active', autoplay.active);
+    const share = autoplay.holdMs ? autoplay.remainingMs / autoplay.holdMs : 0;
+    autoplayCountdownFill.style.transition = 'none';
+    autoplayCountdownFill.style.width = `${share * 100}%`;
+    if (!running) return;
+    void autoplayCountdownFill.offsetWidth; // restart the transition from the current width
+    autoplayCountdownFill.style.transition = `width ${autoplay.remainingMs}ms linear`;
+    autoplayCountdownFill.style.width = '0%';
+}
+
+function updateAutoplayButton() {
+    if (!autoplayBtn) return;
+    autoplayBtn.classList.toggle('playing', autoplay.active);
+    autoplayBtn.setAttribute('aria-pressed', String(autoplay.active));
+    autoplayBtn.title = autoplay.active ? 'Pause autoplay (a)' : 'Autoplay (a)';
+}
+
+function getAutoplaySettings() {
+    const saved = JSON.parse(localStorage.getItem('pdfReaderSettings') || '{}');
+    return { ...DEFAULT_AUTOPLAY_SETTINGS, ...(saved.autoplay || {}) };
+}
+
+// Read aloud: speak the current screen sentence by sentence, then move on to the next screen
+
+function toggleReadAloud() {
+    if (readAloud.active) {
+        stopReadAloud();
+    } else {
+        startReadAloud();
+    }
+}
+
+// Starting again on the screen where reading was paused resumes at the paused sentence
+function startReadAloud() {
+    if (!totalPages) return;
+    if (autoplay.active) stopAutoplay();
+    readAloud.active = true;
+    updateReadAloudButton();
+    speakScreen(currentPageNum, readAloud.screen === currentPageNum ? readAloud.index : 0);
+}
+
+function stopReadAloud() {
+    readAloud.active = false;
+    readAloud.utterance = null;
+    speechSynthesis.cancel();
+    setSpeechHighlight(null);
+    updateReadAloudButton();
+}
+
+function speakScreen(n, fromSentence = 0) {
+    const entry = screenMap[n];
+    const book = entry && booksState[entry.bookIndex];
+    const chunk = book && book.chunks[entry.chunkIndex];
+    if (!chunk) {
+        stopReadAloud();
+        return;
+    }
+    const lang = getSpeechLanguage(book, chunk);
+    readAloud.screen = n;
+    readAloud.sentences = chunk.type === 'text'
+        ? getSpeechSentences(chunk.content, lang)
+        : [{ text: IMAGE_SCREEN_ANNOUNCEMENTS[lang], start: 0, end: 0 }];
+    readAloud.index = Math.min(fromSentence, readAloud.sentences.length);
+    speakNextSentence(entry, lang);
+}
+
+function speakNextSentence(entry, lang) {
+    if (!readAloud.active) return;
+    const sentence = readAloud.sentences[readAloud.index];
+    if (!sentence) {
+        advanceReadAloud();
+        return;
+    }
+    const settings = getReadAloudSettings();
+    const utterance = new SpeechSynthesisUtterance(sentence.text);
+    const voice = pickSpeechVoice(lang, settings.voices[lang]);
+    if (voice) utterance.voice = voice;
+    utterance.lang = voice ? voice.lang : lang;
+    utterance.rate = settings.rate;
+    // Cancelled utterances still end (or error); only the current one moves reading on
+    utterance.onend = () => {
+        if (readAloud.utterance !== utterance) return;
+        readAloud.index++;
+        speakNextSentence(entry, lang);
+    };
+    utterance.onerror = (e) => {
+        if (readAloud.utterance !== utterance) return;
+        console.warn('Read aloud failed:', e.error);
+        stopReadAloud();
+    };
+    readAloud.utterance = utterance;
+    setSpeechHighlight(sentence.end > sentence.start ? {
+        bookIndex: entry.bookIndex,
+        chunkIndex: entry.chunkIndex,
+        start: sentence.start,
+        end: sentence.end,
+        screen: readAloud.screen
+    } : null);
+    speechSynthesis.speak(utterance);
+}
+
+// The screen is done: go on to the next one (whichever book it belongs to)
+function advanceReadAloud() {
+    setSpeechHighlight(null);
+    if (readAloud.screen >= totalPages) {
+        // Nothing more to read yet (or a book is still loading)
+        stopReadAloud();
+        readAloud.index = 0;
+        return;
+    }
+    readAloud.screen = currentPageNum + 1;
+    goToNextPage();
+    speakScreen(readAloud.screen);
+}
+
+function setSpeechHighlight(sentence) {
+    const previous = speechHighlight;
+    speechHighlight = sentence;
+    if (previous) refreshScreen(previous.screen);
+    if (!sentence) return;
+    refreshScreen(sentence.screen);
+    // Long chunks scroll inside their screen; keep the spoken sentence in view
+    const screen = pages[sentence.screen] && pages[sentence.screen].element;
+    const mark = screen && screen.querySelector('mark.tts-sentence');
+    if (mark && (mark.offsetTop < screen.scrollTop || mark.offsetTop + mark.offsetHeight > screen.scrollTop + screen.clientHeight)) {
+        screen.scrollTop = Math.max(0, mark.offsetTop - screen.clientHeight / 3);
+    }
+}
+
+function updateReadAloudButton() {
+    if (!readAloudBtn) return;
+    readAloudBtn.classList.toggle('speaking', readAloud.active);
+    readAloudBtn.setAttribute('aria-pressed', String(readAloud.active));
+    readAloudBtn.title = readAloud.active ? 'Pause reading (r)' : 'Read aloud (r)';
+}
+
+// Read-aloud speed and the chosen voice per language
+function getReadAloudSettings() {
+    const saved = JSON.parse(localStorage.getItem('pdfReaderSettings') || '{}');
+    const settings = { ...DEFAULT_READ_ALOUD_SETTINGS, ...(saved.readAloud || {}) };
+    return { ...settings, voices: { ...settings.voices } };
+}
+
+// Fill the voice pickers with the installed voices of each language
+function populateSpeechVoices() {
+    const settings = getReadAloudSettings();
+    speechVoiceSelects.forEach(select => {
+        const lang = select.dataset.lang;
+        const voices = getSpeechVoices(lang);
+        select.innerHTML = '';
+        select.appendChild(new Option(voices.length ? 'Default' : `No ${READ_ALOUD_LANGUAGES[lang]} voice installed`, ''));
+        voices.forEach(voice => select.appendChild(new Option(voice.name, voice.name)));
+        select.value = voices.some(v => v.name === settings.voices[lang]) ? settings.voices[lang] : '';
+    });
+}
+
+// Bookmarks: the current screen can be bookmarked, the feed shows every bookmarked screen
+
+function toggleCurrentBookmark() {
+    const entry = screenMap[currentPageNum];
+    const book = entry && booksState[entry.bookIndex];
+    if (!book) return;
+    toggleChunkBookmark(book, entry.chunkIndex);
+    updateBookmarkButton();
+}
+
+function updateBookmarkButton() {
+    if (!bookmarkBtn) return;
+    const entry = screenMap[currentPageNum];
+    const book = entry && booksState[entry.bookIndex];
+    const bookmarked = !!book && !!findChunkBookmark(book, entry.chunkIndex);
+    bookmarkBtn.disabled = !book;
+    bookmarkBtn.classList.toggle('bookmarked', bookmarked);
+    bookmarkBtn.setAttribute('aria-pressed', String(bookmarked));
+}
+
+function openBookmarkFeed() {
+    renderBookmarkFeed();
+    bookmarkFeed.classList.add('open');
+    bookmarkFeed.setAttribute('aria-hidden', 'false');
+    bookmarkFeedList.scrollTop = 0;
+    bookmarkFeedList.focus();
+}
+
+function closeBookmarkFeed() {
+    bookmarkFeed.classList.remove('open');
+    bookmarkFeed.setAttribute('aria-hidden', 'true');
+}
+
+function isBookmarkFeedOpen() {
+    return !!bookmarkFeed && bookmarkFeed.classList.contains('open');
+}
+
+// One snap screen per bookmark, newest first. Open books show their current chunk (with
+// highlights) and can be jumped to; other books show the text saved with the bookmark.
+function renderBookmarkFeed() {
+    bookmarkFeedList.innerHTML = '';
+    const bookmarks = listAllBookmarks();
+    const chunkIndexesByBook = booksState.map(() => []);
+    const placed = bookmarks.map(bookmark => {
+        const bookIndex = booksState.findIndex(book => book.id === bookmark.bookId);
+        const book = booksState[bookIndex];
+        if (!book || bookmark.offset >= book.textLength) return null;
+        const chunkIndex = findChunkAtOffset(book.chunks, bookmark.offset);
+        chunkIndexesByBook[bookIndex].push(chunkIndex);
+        return { bookIndex, chunkIndex };
+    });
+    const screens = findScreensForChunks(chunkIndexesByBook);
+
+    bookmarks.forEach((bookmark, i) => {
+        const at = placed[i];
+        const book = at && booksState[at.bookIndex];
+        const chunk = book && book.chunks[at.chunkIndex];
+        const card = document.createElement('article');
+        card.className = 'feed-screen book-bg';
+        const content = document.createElement('div');
+        content.className = 'page-content framed';
+        card.appendChild(content);
+        if (chunk) {
+            fillScreen(card, at, book, chunk);
+        } else if (bookmark.text) {
+            for (const paragraph of bookmark.text.split('\n')) {
+                const p = document.createElement('p');
+                p.textContent = paragraph;
+                content.appendChild(p);
+            }
+        } else {
+            content.innerHTML = '<p class="feed-empty">Page image: open the book to see it</p>';
+        }
+
+        const source = document.createElement('div');
+        source.className = 'feed-screen-source';
+        const chapter = chunk ? chunk.chapter : bookmark.chapter;
+        source.textContent = chapter ? `${bookmark.name} · ${chapter}` : bookmark.name;
+        content.prepend(source);
+
+        const actions = document.createElement('div');
+        actions.className = 'feed-screen-actions';
+        const open = document.createElement('button');
+        open.className = 'action-btn primary';
+        open.textContent = 'Open in reader';
+        const screen = at ? screens[at.bookIndex].get(at.chunkIndex) || 0 : 0;
+        open.disabled = !screen;
+        if (!at) open.title = 'Open this book to read from here';
+        open.addEventListener('click', () => {
+            closeBookmarkFeed();
+            currentPageNum = screen;
+            scrollToPage(screen);
+        });
+        const remove = document.createElement('button');
+        remove.className = 'action-btn';
+        remove.textContent = 'Remove';
+        remove.addEventListener('click', () => {
+            removeBookmark(bookmark.bookId, bookmark.offset);
+            card.remove();
+            updateBookmarkButton();
+            if (!bookmarkFeedList.children.length) renderBookmarkFeed();
+        });
+        actions.append(remove, open);
+        content.appendChild(actions);
+        bookmarkFeedList.appendChild(card);
+    });
+
+    if (!bookmarks.length) {
+        bookmarkFeedList.innerHTML = '<p class="feed-empty">No saved screens yet. Press B or the bookmark button to save the screen you are reading.</p>';
+    }
+}
+
+// Reading stats
+
+// Start timing the passage on screenNumber (ending the one timed before, if it changed). Only
+// counts while the reader is on screen.
+function trackStatsView(screenNumber) {
+    const entry = screenMap[screenNumber];
+    const book = entry && booksState[entry.bookIndex];
+    const chunk = book && book.chunks[entry.chunkIndex];
+    if (chunk && statsView && statsView.book === book && statsView.offset === (chunk.offset || 0)) return;
+    endStatsView();
+    if (!chunk || document.hidden || !readerScreen.classList.contains('active')) return;
+    statsView = { book, offset: chunk.offset || 0, startedAt: Date.now() };
+}
+
+// Log the passage being timed, found by its offset in case the book was re-chunked meanwhile
+function endStatsView() {
+    if (!statsView) return;
+    const { book, offset, startedAt } = statsView;
+    statsView = null;
+    if (!book.chunks.length) return;
+    recordScreenView({
+        book,
+        chunkIndex: findChunkAtOffset(book.chunks, offset),
+        startedAt,
+        seconds: (Date.now() - startedAt) / 1000
+    });
+}
+
+function openStatsScreen() {
+    renderStatsScreen();
+    uploadScreen.classList.remove('active');
+    statsScreen.classList.add('active');
+}
+
+function closeStatsScreen() {
+    statsScreen.classList.remove('active');
+    uploadScreen.classList.add('active');
+}
+
+function renderStatsScreen() {
+    const summary = getReadingSummary(loadReadingStats());
+    const { streak } = summary;
+
+    statsCards.innerHTML = '';
+    const cards = [
+        ['Reading time', formatReadingTime(summary.seconds)],
+        ['Words read', summary.words.toLocaleString()],
+        ['Pace', summary.wpm ? `${summary.wpm} wpm` : '–'],
+        ['Streak', `${streak.current} day${streak.current === 1 ? '' : 's'}`, streak.current && !streak.readToday ? 'Read today to keep it' : ''],
+        ['Longest streak', `${streak.longest} day${streak.longest === 1 ? '' : 's'}`]
+    ];
+    for (const [label, value, hint] of cards) {
+        const card = document.createElement('div');
+        card.className = 'stats-card';
+        card.innerHTML = '<div class="stats-card-value"></div><div class="stats-card-label"></div>';
+        card.querySelector('.stats-card-value').textContent = value;
+        card.querySelector('.stats-card-label').textContent = hint ? `${label} · ${hint}` : label;
+        statsCards.appendChild(card);
+    }
+
+    // One bar per day, scaled to the longest day shown
+    statsDays.innerHTML = '';
+    const longest = Math.max(1, ...summary.days.map(d => d.seconds));
+    for (const day of summary.days) {
+        const column = document.createElement('div');
+        column.className = 'stats-day';
+        column.title = `${day.date}: ${formatReadingTime(day.seconds)}, ${day.words.toLocaleString()} words`;
+        const bar = document.createElement('div');
+        bar.className = 'stats-day-bar';
+        bar.style.height = `${Math.round((day.seconds / longest) * 100)}%`;
+        const label = document.createElement('span');
+        label.className = 'stats-day-label';
+        label.textContent = String(Number(day.date.slice(8)));
+        column.append(bar, label);
+        statsDays.appendChild(column);
+    }
+
+    statsBooks.innerHTML = '';
+    for (const book of summary.books) {
+        const item = document.createElement('li');
+        item.className = 'stats-book';
+        item.innerHTML = `
+            <div class="stats-book-name"></div>
+            <div class="stats-book-meta"></div>
+            <div class="stats-book-progress"><div class="stats-book-progress-fill"></div></div>
+            <div class="stats-book-left"></div>
+        `;
+        item.querySelector('.stats-book-name').textContent = book.name;
+        item.querySelector('.stats-book-meta').textContent = [
+            formatReadingTime(book.seconds),
+            `${book.words.toLocaleString()} words`,
+            book.wpm ? `${book.wpm} wpm` : ''
+        ].filter(Boolean).join(' · ');
+        item.querySelector('.stats-book-progress-fill').style.width = `${Math.round(book.progress * 100)}%`;
+        let left = 'Not enough reading yet to estimate the time left';
+        if (book.secondsLeft !== null) {
+            // A book still loading when last read may be longer than it looked
+            left = `${Math.round(book.progress * 100)}% · ${book.complete ? 'about' : 'at least'} ${formatReadingTime(book.secondsLeft)} left`;
+        }
+        item.querySelector('.stats-book-left').textContent = left;
+        statsBooks.appendChild(item);
+    }
+    if (!summary.books.length) {
+        statsBooks.innerHTML = '<li class="feed-empty">Nothing read yet. Time spent on each screen is recorded as you read.</li>';
+    }
+}
+
+// Session manager: the books of the session, their order, and which are paused or finished
+
+function openSessionDrawer() {
+    renderSessionDrawer();
+    sessionDrawer.classList.add('open');
+    sessionDrawerBackdrop.classList.add('open');
+    sessionDrawer.setAttribute('aria-hidden', 'false');
+}
+
+function closeSessionDrawer() {
+    sessionDrawer.classList.remove('open');
+    sessionDrawerBackdrop.classList.remove('open');
+    sessionDrawer.setAttribute('aria-hidden', 'true');
+}
+
+function isSessionDrawerOpen() {
+    return !!sessionDrawer && sessionDrawer.classList.contains('open');
+}
+
+function renderSessionDrawer() {
+    sessionDrawerBody.innerHTML = '';
+    const max = getMaxBooks();
+    sessionBookCount.textContent = `${booksState.length} of ${max} books`;
+    sessionAddBtn.disabled = booksState.length >= max;
+
+    const list = document.createElement('ul');
+    list.className = 'session-books';
+    booksState.forEach((book, i) => {
+        const item = document.createElement('li');
+        item.className = 'session-book';
+        if (book.status) item.classList.add(book.status);
+
+        const info = document.createElement('div');
+        info.className = 'session-book-info';
+        const name = document.createElement('span');
+        name.className = 'drawer-book-name';
+        name.textContent = book.name;
+        const state = document.createElement('span');
+        state.className = 'drawer-book-progress';
+        const label = { paused: 'Paused', finished: 'Finished' }[book.status] || (book.loading ? 'Loading' : 'Reading');
+        state.textContent = `${label} · ${getBookProgress(book)}%`;
+        info.append(name, state);
+
+        const actions = document.createElement('div');
+        actions.className = 'session-book-actions';
+        const addAction = (text, title, onClick, disabled = false) => {
+            const button = document.createElement('button');
+            button.className = 'drawer-export';
+            button.textContent = text;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+        addAction('↑', 'Move up', () => moveSessionBook(i, -1), i === 0);
+        addAction('↓', 'Move down', () => moveSessionBook(i, 1), i === booksState.length - 1);
+        addAction(book.status === 'paused' ? 'Resume' : 'Pause', 'Leave this book out of the feed for now',
+            () => setSessionBookStatus(i, book.status === 'paused' ? '' : 'paused'));
+        addAction(book.status === 'finished' ? 'Unfinish' : 'Finished', 'Mark this book as read',
+            () => setSessionBookStatus(i, book.status === 'finished' ? '' : 'finished'));
+        addAction('Remove', 'Remove this book from the session', () => removeSessionBook(i), booksState.length === 1);
+
+        item.append(info, actions);
+        list.appendChild(item);
+    });
+    sessionDrawerBody.appendChild(list);
+}
+
+// Swap book i with its neighbour (delta -1 / 1); the feed follows the new order
+function moveSessionBook(i, delta) {
+    const j = i + delta;
+    if (j < 0 || j >= booksState.length) return;
+    reinterleaveSession(() => {
+        [booksState[i], booksState[j]] = [booksState[j], booksState[i]];
+        [sessionFiles[i], sessionFiles[j]] = [sessionFiles[j], sessionFiles[i]];
+    });
+    renderSessionDrawer();
+    persistSessionBooks();
+}
+
+// status: '' (reading), 'paused' or 'finished'; only books being read get screens
+function setSessionBookStatus(i, status) {
+    const book = booksState[i];
+    if (!book) return;
+    reinterleaveSession(() => { book.status = status; });
+    renderSessionDrawer();
+    if (currentDocument && currentDocument.sessionId) {
+        updateLibrarySession(currentDocument.sessionId, { bookStatus: getSessionBookStatus(booksState) }).catch(e => {
+            console.warn('Could not save the book status:', e);
+        });
+    }
+}
+
+function removeSessionBook(i) {
+    const book = booksState[i];
+    if (!book || booksState.length === 1) return;
+    if (!confirm(`Remove "${book.name}" from this session?`)) return;
+    const job = ingestJobs.find(j => j.book === book && j.status === 'running');
+    if (job) job.cancel();
+    reinterleaveSession(() => {
+        booksState.splice(i, 1);
+        sessionFiles.splice(i, 1);
+    });
+    renderSessionDrawer();
+    persistSessionBooks();
+}
+
+// bookId -> status of the session's paused and finished books
+function getSessionBookStatus(books) {
+    const status = {};
+    books.forEach(book => { if (book.status) status[book.id] = book.status; });
+    return status;
+}
+
+// Store the changed book list as the session. Its id follows the books, so the entry for the
+// old list is dropped. While books are loading this waits: the session is stored when they finish.
+async function persistSessionBooks() {
+    if (isIngestRunning() || !currentDocument || !currentDocument.sessionId) return;
+    const previousId = currentDocument.sessionId;
+    await rememberSession(sessionFiles, booksState);
+    if (currentDocument.sessionId === previousId) return;
+    removeFromRecentDocuments(previousId);
+    deleteSessionFromLibrary(previousId).catch(e => console.warn('Could not remove the old session:', e));
+}
+
+// Chapter navigator: every book of the session with its chapters and reading progress
+
+function openChapterDrawer() {
+    renderChapterDrawer();
+    chapterDrawer.classList.add('open');
+    chapterDrawerBackdrop.classList.add('open');
+    chapterDrawer.setAttribute('aria-hidden', 'false');
+}
+
+function closeChapterDrawer() {
+    chapterDrawer.classList.remove('open');
+    chapterDrawerBackdrop.classList.remove('open');
+    chapterDrawer.setAttribute('aria-hidden', 'true');
+}
+
+function isChapterDrawerOpen() {
+    return !!chapterDrawer && chapterDrawer.classList.contains('open');
+}
+
+function renderChapterDrawer() {
+    chapterDrawerBody.innerHTML = '';
+    const current = screenMap[currentPageNum];
+    // Books without chapter titles still get an entry to jump to their start
+    const chapterLists = booksState.map(book => {
+        const chapters = getBookChapters(book);
+        return chapters.length ? chapters : [{ title: 'Start of book', chunkIndex: 0 }];
+    });
+    const screens = findScreensForChunks(chapterLists.map(list => list.map(c => c.chunkIndex)));
+    booksState.forEach((book, bookIndex) => {
+        const section = document.createElement('section');
+        section.className = 'drawer-book';
+
+        const head = document.createElement('div');
+        head.className = 'drawer-book-head';
+        const name = document.createElement('span');
+        name.className = 'drawer-book-name';
+        name.textContent = book.name;
+        const progress = document.createElement('span');
+        progress.className = 'drawer-book-progress';
+        progress.textContent = `${getBookProgress(book)}%${book.loading ? ' · loading' : ''}`;
+        head.append(name, progress);
+        section.appendChild(head);
+
+        const chapters = chapterLists[bookIndex];
+        const here = current && current.bookIndex === bookIndex ? current.chunkIndex : -1;
+        const list = document.createElement('ul');
+        list.className = 'drawer-chapters';
+        chapters.forEach((chapter, i) => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'drawer-chapter';
+            button.textContent = chapter.title;
+            const next = chapters[i + 1];
+            if (here >= chapter.chunkIndex && (!next || here < next.chunkIndex)) button.classList.add('current');
+            // Chapters of a loading book may not have screens yet
+            const screen = screens[bookIndex].get(chapter.chunkIndex) || 0;
+            button.disabled = !screen;
+            button.addEventListener('click', () => {
+                closeChapterDrawer();
+                currentPageNum = screen;
+                scrollToPage(screen);
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+
+        // Highlight count and export for this book
+        const highlightCount = getBookHighlights(book.id).length;
+        if (highlightCount) {
+            const row = document.createElement('div');
+            row.className = 'drawer-highlights';
+            const count = document.createElement('span');
+            count.textContent = `${highlightCount} highlight${highlightCount === 1 ? '' : 's'}`;
+            row.appendChild(count);
+            [['Markdown', 'markdown'], ['JSON', 'json']].forEach(([label, format]) => {
+                const button = document.createElement('button');
+                button.className = 'drawer-export';
+                button.textContent = label;
+                button.addEventListener('click', () => exportHighlights(book.id, format));
+                row.appendChild(button);
+            });
+            section.appendChild(row);
+        }
+        chapterDrawerBody.appendChild(section);
+    });
+    if (!booksState.length) {
+        chapterDrawerBody.innerHTML = '<p class="drawer-empty">No books open</p>';
+    }
+}
+
+// Chapters of a book in reading order: [{ title, chunkIndex }] (the chapter's first chunk)
+function getBookChapters(book) {
+    const chapters = [];
+    let last = '';
+    book.chunks.forEach((chunk, i) => {
+        const title = chunk.chapter || '';
+        if (title && title !== last) chapters.push({ title, chunkIndex: i });
+        last = title;
+    });
+    return chapters;
+}
+
+// Share of a book read so far (0-100), from its saved position
+function getBookProgress(book) {
+    const saved = getSavedBookPosition(book);
+    if (!saved || !book.chunks.length) return 0;
+    const { index } = resolveResumeIndex(book, saved);
+    return Math.round(((index + 1) / book.chunks.length) * 100);
+}
+
+// Screens showing the given chunks, in one pass over the screens: chunkIndexesByBook[i] lists
+// chunk indexes of booksState[i]; returns a Map chunkIndex -> screen number per book (chunks
+// that have not been placed yet are missing)
+function findScreensForChunks(chunkIndexesByBook) {
+    const wanted = chunkIndexesByBook.map(list => new Set(list));
+    const found = chunkIndexesByBook.map(() => new Map());
+    for (let n = 1; n <= totalPages; n++) {
+        const entry = screenMap[n];
+        if (entry && wanted[entry.bookIndex] && wanted[entry.bookIndex].has(entry.chunkIndex)) {
+            found[entry.bookIndex].set(entry.chunkIndex, n);
+        }
+    }
+    return found;
+}
+
+// Handle keyboard navigation
+function handleKeyDown(e) {
+    if (statsScreen.classList.contains('active')) {
+        if (e.key === 'Escape') closeStatsScreen();
+        return;
+    }
+    if (!readerScreen.classList.contains('active')) return;
+    // Keys don't page the reader behind an open drawer or overlay
+    if (isChapterDrawerOpen()) {
+        if (e.key === 'Escape') closeChapterDrawer();
+        return;
+    }
+    if (isSessionDrawerOpen()) {
+        if (e.key === 'Escape') closeSessionDrawer();
+        return;
+    }
+    if (isSearchOpen()) {
+        if (e.key === 'Escape') closeSearch();
+        return;
+    }
+    if (isHighlightPopoverOpen()) {
+        if (e.key === 'Escape') closeHighlightPopover();
+        return;
+    }
+    // The feed scrolls natively with the arrow and page keys
+    if (isBookmarkFeedOpen()) {
+        if (e.key === 'Escape') closeBookmarkFeed();
+        return;
+    }
+    if (e.target.closest && e.target.closest('input, select, textarea')) return;
+    // Any key but the autoplay toggle pauses autoplay (after the key has done its job)
+    const pauseAutoplay = autoplay.active && e.key !== 'a' && !['Shift', 'Control', 'Alt', 'Meta'].includes(e.key);
+    
+    switch (e.key) {
+        case '/':
+            e.preventDefault();
+            openSearch();
+            break;
+
+        case 'f':
+            if (e.ctrlKey || e.metaKey) {
+                e.preventDefault();
+                openSearch();
+            }
+            break;
+
+        // Next / previous search match
+        case 'n':
+        case 'F3':
+            if (searchState.results.length) {
+                e.preventDefault();
+                stepSearchResult(e.shiftKey ? -1 : 1);
+            }
+            break;
+
+        case 'N':
+            if (searchState.results.length) {
+                e.preventDefault();
+                stepSearchResult(-1);
+            }
+            break;
+
+        case 'Escape':
+            setSearchHighlight(null);
+            break;
+
+        case 'b':
+            if (!e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                toggleCurrentBookmark();
+            }
+            break;
+
+        case 'r':
+            if (!e.ctrlKey && !e.metaKey && isSpeechSupported()) {
+                e.preventDefault();
+                toggleReadAloud();
+            }
+            break;
+
+        case 'a':
+            if (!e.ctrlKey && !e.metaKey) {
+                e.preventDefault();
+                toggleAutoplay();
+            }
+            break;
+
         case 'ArrowUp':
         case 'ArrowLeft':
         case 'PageUp':
@@ -787,11 +2592,16 @@ function handleKeyDown(e) {
             scrollToPage(currentPageNum);
             break;
     }
+    if (pauseAutoplay) stopAutoplay();
 }
 
 // Toggle settings panel
 function toggleSettings() {
     settingsPanel.classList.toggle('active');
+    if (settingsPanel.classList.contains('active')) {
+        populateChunkSettingsForm();
+        populateInterleaveForm();
+    }
 }
 
 // Update font size
@@ -828,9 +2638,23 @@ function saveSettings() {
         lineHeight: lineHeightInput.value,
         theme: themeSelect.value,
         skipFrontMatter: !!(skipFrontMatterCheckbox && skipFrontMatterCheckbox.checked),
-        minChapterPage: minChapterPageInput ? parseInt(minChapterPageInput.value, 10) : 5
+        ocr: isOcrEnabled(),
+        minChapterPage: minChapterPageInput ? parseInt(minChapterPageInput.value, 10) : 5,
+        maxBooks: maxBooksInput ? parseInt(maxBooksInput.value, 10) : getMaxBooks(),
+        chunk: getDefaultChunkSettings(),
+        autoplay: autoplayWpmInput ? { wpm: parseInt(autoplayWpmInput.value, 10) } : getAutoplaySettings(),
+        readAloud: readSpeechSettingsForm(),
+        gestures: gestureLongPressSelect
+            ? { longPress: gestureLongPressSelect.value, doubleTap: gestureDoubleTapSelect.value }
+            : getGestureSettings()
     };
+    writeSettings(settings);
+}
+
+// Every change to the saved settings goes through here, so it reaches the other devices
+function writeSettings(settings) {
     localStorage.setItem('pdfReaderSettings', JSON.stringify(settings));
+    queueSettingsSync(settings);
 }
 
 // Load settings from localStorage
@@ -856,6 +2680,9 @@ function loadSettings() {
         if (typeof settings.skipFrontMatter === 'boolean' && skipFrontMatterCheckbox) {
             skipFrontMatterCheckbox.checked = settings.skipFrontMatter;
         }
+        if (typeof settings.ocr === 'boolean' && ocrEnabledCheckbox) {
+            ocrEnabledCheckbox.checked = settings.ocr;
+        }
         if (typeof settings.minChapterPage === 'number' && minChapterPageInput && minChapterPageDisplay) {
             minChapterPageInput.value = String(settings.minChapterPage);
             minChapterPageDisplay.textContent = String(settings.minChapterPage);
@@ -864,12 +2691,82 @@ function loadSettings() {
             minChapterPageDisplay.textContent = String(minChapterPageInput.value);
         }
     }
+    if (chunkModeSelect) fillChunkSettingsForm(getChunkSettings(''));
+    updateMaxBooksLabels();
+    if (autoplayWpmInput) {
+        const { wpm } = getAutoplaySettings();
+        autoplayWpmInput.value = String(wpm);
+        autoplayWpmDisplay.textContent = String(wpm);
+    }
+    if (speechRateInput) {
+        const { rate } = getReadAloudSettings();
+        speechRateInput.value = String(rate);
+        speechRateDisplay.textContent = Number(rate).toFixed(1);
+    }
+    if (gestureLongPressSelect) {
+        const { longPress, doubleTap } = getGestureSettings();
+        gestureLongPressSelect.value = longPress;
+        gestureDoubleTapSelect.value = doubleTap;
+    }
+}
+
+// Sync
+
+// Records from other devices were stored: show them where they are on screen. Positions are
+// only used the next time a book is opened, so reading here doesn't jump.
+function handleSyncApplied(kinds) {
+    if (kinds.has('settings')) loadSettings();
+    if (kinds.has('highlight') || kinds.has('bookmark')) {
+        booksState.forEach((book, i) => refreshBookScreens(i));
+        updateBookmarkButton();
+        if (isBookmarkFeedOpen()) renderBookmarkFeed();
+        if (isChapterDrawerOpen()) renderChapterDrawer();
+    }
+}
+
+function renderSyncStatus(state) {
+    if (!syncStatusEl) return;
+    const waiting = Object.keys(state.queue).length;
+    let status = 'Off';
+    if (state.error) {
+        status = waiting ? `${state.error} · ${waiting} change${waiting === 1 ? '' : 's'} waiting` : state.error;
+    } else if (waiting) {
+        status = `${waiting} change${waiting === 1 ? '' : 's'} waiting`;
+    } else if (state.lastSync) {
+        status = `Synced ${new Date(state.lastSync).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}`;
+    } else if (state.token) {
+        status = 'Not synced yet';
+    }
+    syncStatusEl.textContent = status;
+    syncNowBtn.disabled = !state.token;
+}
+
+// Read-aloud settings from the form; a voice left on "Default" keeps no saved choice
+function readSpeechSettingsForm() {
+    const settings = getReadAloudSettings();
+    if (!speechRateInput) return settings;
+    settings.rate = parseFloat(speechRateInput.value) || DEFAULT_READ_ALOUD_SETTINGS.rate;
+    // Pickers are empty until the voices load; keep the saved choices meanwhile
+    speechVoiceSelects.forEach(select => {
+        if (!select.options.length) return;
+        if (select.value) {
+            settings.voices[select.dataset.lang] = select.value;
+        } else {
+            delete settings.voices[select.dataset.lang];
+        }
+    });
+    return settings;
 }
 
 function shouldSkipFrontMatter() {
     return !!(skipFrontMatterCheckbox && skipFrontMatterCheckbox.checked);
 }
 
+// Read scanned pages of newly added PDFs with OCR
+function isOcrEnabled() {
+    return !!(ocrEnabledCheckbox && ocrEnabledCheckbox.checked);
+}
+
 function getMinChapterPage() {
     if (minChapterPageInput) {
         const n = parseInt(minChapterPageInput.value, 10);
@@ -878,6 +2775,182 @@ function getMinChapterPage() {
     return 5;
 }
 
+// How many books a session may hold
+function getMaxBooks() {
+    const saved = JSON.parse(localStorage.getItem('pdfReaderSettings') || '{}');
+    const n = parseInt(saved.maxBooks, 10);
+    return Number.isFinite(n) && n > 0 ? n : DEFAULT_MAX_BOOKS;
+}
+
+function updateMaxBooksLabels() {
+    const max = String(getMaxBooks());
+    if (maxBooksInput) maxBooksInput.value = max;
+    if (maxBooksDisplay) maxBooksDisplay.textContent = max;
+    if (maxBooksSubtitle) maxBooksSubtitle.textContent = max;
+    if (isSessionDrawerOpen()) renderSessionDrawer();
+}
+
+// Chunk settings every book uses unless it has its own
+function getDefaultChunkSettings() {
+    const saved = JSON.parse(localStorage.getItem('pdfReaderSettings') || '{}');
+    return { ...DEFAULT_CHUNK_SETTINGS, ...(saved.chunk || {}) };
+}
+
+// Chunk settings of a book ('' or no id: the default)
+function getChunkSettings(bookId) {
+    const perBook = JSON.parse(localStorage.getItem(BOOK_CHUNK_SETTINGS_KEY) || '{}');
+    return { ...getDefaultChunkSettings(), ...((bookId && perBook[bookId]) || {}) };
+}
+
+// Save chunk settings for one book, or as the default for all books (clearing the overrides
+// of the books in this session so they follow it)
+function saveChunkSettings(bookId, settings) {
+    const perBook = JSON.parse(localStorage.getItem(BOOK_CHUNK_SETTINGS_KEY) || '{}');
+    if (bookId) {
+        perBook[bookId] = settings;
+    } else {
+        const saved = JSON.parse(localStorage.getItem('pdfReaderSettings') || '{}');
+        writeSettings({ ...saved, chunk: settings });
+        booksState.forEach(book => { delete perBook[book.id]; });
+    }
+    localStorage.setItem(BOOK_CHUNK_SETTINGS_KEY, JSON.stringify(perBook));
+}
+
+// List the session's books in the screen size picker, selecting the book on screen
+function populateChunkSettingsForm() {
+    if (!chunkBookSelect) return;
+    const entry = screenMap[currentPageNum];
+    const current = entry && booksState[entry.bookIndex];
+    chunkBookSelect.innerHTML = '';
+    chunkBookSelect.appendChild(new Option('All books', ''));
+    booksState.forEach(book => chunkBookSelect.appendChild(new Option(book.name, book.id)));
+    chunkBookSelect.value = current ? current.id : '';
+    fillChunkSettingsForm(getChunkSettings(chunkBookSelect.value));
+}
+
+function fillChunkSettingsForm(settings) {
+    const control = CHUNK_SIZE_CONTROLS[settings.mode] || CHUNK_SIZE_CONTROLS.sentences;
+    chunkModeSelect.value = settings.mode in CHUNK_SIZE_CONTROLS ? settings.mode : 'sentences';
+    chunkSizeInput.min = String(control.min);
+    chunkSizeInput.max = String(control.max);
+    chunkSizeInput.step = String(control.step);
+    chunkSizeInput.value = String(settings[control.key]);
+    readingWpmInput.value = String(settings.wpm);
+    updateChunkSizeLabels();
+}
+
+function updateChunkSizeLabels() {
+    const mode = chunkModeSelect.value;
+    chunkSizeLabel.textContent = CHUNK_SIZE_CONTROLS[mode].label(chunkSizeInput.value);
+    readingWpmDisplay.textContent = String(readingWpmInput.value);
+    readingWpmOption.style.display = mode === 'time' ? '' : 'none';
+}
+
+// Save the screen size form and re-chunk the open session with it
+function applyChunkSettingsForm() {
+    const bookId = chunkBookSelect.value;
+    if (isIngestRunning()) {
+        alert('Please wait until the books finish loading before changing the screen size.');
+        fillChunkSettingsForm(getChunkSettings(bookId));
+        return;
+    }
+    const mode = chunkModeSelect.value;
+    const settings = getChunkSettings(bookId);
+    settings.mode = mode;
+    settings[CHUNK_SIZE_CONTROLS[mode].key] = parseInt(chunkSizeInput.value, 10);
+    settings.wpm = parseInt(readingWpmInput.value, 10);
+    saveChunkSettings(bookId, settings);
+    rechunkSession(bookId);
+}
+
+// Re-chunk the open books from their stored blocks (no re-parsing) and rebuild the screens,
+// keeping the reader on the passage it shows now
+function rechunkSession(bookId) {
+    if (!booksState.length) return;
+    reinterleaveSession(() => {
+        booksState.forEach(book => {
+            if (!bookId || book.id === bookId) rechunkBook(book, getChunkSettings(book.id));
+        });
+    });
+}
+
+// Rebuild the screens after change() edits the session (its books, their chunks or order),
+// keeping the reader on the passage it shows now. options go to interleaveBooksIntoScreens.
+function reinterleaveSession(change, options = {}) {
+    if (!interleaveState) return;
+    const entry = screenMap[currentPageNum];
+    const focusBook = entry ? booksState[entry.bookIndex] : null;
+    saveBookPosition(currentPageNum);
+    if (change) change();
+    // A paused, finished or removed book can't be returned to; start where the others resume
+    const focusBookIndex = focusBook && !focusBook.status ? booksState.indexOf(focusBook) : -1;
+    interleaveBooksIntoScreens(booksState, { ...options, focusBookIndex });
+    // Jump now so a scroll settling on the emptied list can't save screen 1 as the position
+    clearTimeout(scrollTimeout);
+    if (interleaveState.started) jumpToScreen(currentPageNum);
+}
+
+// Show the session's interleaving strategy in the settings form, with a share input per book
+function populateInterleaveForm() {
+    if (!interleaveTypeSelect) return;
+    const strategy = interleaveState ? interleaveState.strategy : normalizeInterleaveStrategy();
+    interleaveTypeSelect.value = strategy.type;
+    interleaveSizeInput.value = String(strategy.size);
+    interleaveSizeDisplay.textContent = String(strategy.size);
+    interleaveWeightsEl.innerHTML = '';
+    booksState.forEach(book => {
+        const row = document.createElement('label');
+        row.className = 'interleave-weight';
+        const name = document.createElement('span');
+        name.textContent = book.name;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.max = String(INTERLEAVE_MAX_WEIGHT);
+        input.value = String(strategy.weights[book.id] || 1);
+        input.dataset.bookId = book.id;
+        input.addEventListener('change', applyInterleaveForm);
+        row.append(name, input);
+        interleaveWeightsEl.appendChild(row);
+    });
+    updateInterleaveOptions();
+}
+
+// Only the inputs the chosen strategy uses are shown
+function updateInterleaveOptions() {
+    const type = interleaveTypeSelect.value;
+    interleaveSizeOption.style.display = type === 'blocks' || type === 'chapters' ? '' : 'none';
+    interleaveWeightsOption.style.display = type === 'weighted' ? '' : 'none';
+    interleaveShuffleOption.style.display = type === 'shuffle' ? '' : 'none';
+}
+
+function readInterleaveForm() {
+    const strategy = normalizeInterleaveStrategy(interleaveState && interleaveState.strategy);
+    strategy.type = interleaveTypeSelect.value;
+    strategy.size = parseInt(interleaveSizeInput.value, 10);
+    interleaveWeightsEl.querySelectorAll('input').forEach(input => {
+        strategy.weights[input.dataset.bookId] = parseInt(input.value, 10) || 1;
+    });
+    return normalizeInterleaveStrategy(strategy);
+}
+
+function applyInterleaveForm() {
+    updateInterleaveOptions();
+    setInterleaveStrategy(readInterleaveForm());
+}
+
+// Re-interleave the open books with a new strategy, keeping the reader on the passage it
+// shows now, and save the strategy with the session
+function setInterleaveStrategy(strategy) {
+    if (!booksState.length) return;
+    reinterleaveSession(null, { strategy });
+    if (currentDocument && currentDocument.sessionId) {
+        updateLibrarySession(currentDocument.sessionId, { interleave: interleaveState.strategy }).catch(e => {
+            console.warn('Could not save the interleaving strategy:', e);
+        });
+    }
+}
+
 // Save document to recent documents
 function saveToRecentDocuments(doc) {
     if (!doc || !doc.name) return;
@@ -885,8 +2958,9 @@ function saveToRecentDocuments(doc) {
     let recentDocs = JSON.parse(localStorage.getItem(RECENT_DOCS_KEY) || '[]');
     
     // Check if document already exists in recent
-    const existingDocIndex = recentDocs.findIndex(d => 
-        d.name === doc.name && d.fileSize === doc.fileSize && d.lastModified === doc.lastModified
+    const existingDocIndex = recentDocs.findIndex(d => doc.sessionId
+        ? d.sessionId === doc.sessionId
+        : d.name === doc.name && d.fileSize === doc.fileSize && d.lastModified === doc.lastModified
     );
     
     // Update existing or add new
@@ -896,8 +2970,12 @@ function saveToRecentDocuments(doc) {
         recentDocs.unshift(doc);
     }
     
-    // Limit to max recent documents
+    // Limit to max recent documents; sessions that drop off the list are evicted from the library
+    const dropped = recentDocs.slice(MAX_RECENT_DOCS);
     recentDocs = recentDocs.slice(0, MAX_RECENT_DOCS);
+    dropped.filter(d => d.sessionId).forEach(d => {
+        deleteSessionFromLibrary(d.sessionId).catch(e => console.warn('Eviction failed:', e));
+    });
     
     // Save to localStorage
     localStorage.setItem(RECENT_DOCS_KEY, JSON.stringify(recentDocs));
@@ -906,6 +2984,14 @@ function saveToRecentDocuments(doc) {
     loadRecentDocuments();
 }
 
+// Remove an entry from recent documents (by session id, or by name for legacy entries)
+function removeFromRecentDocuments(sessionId, name) {
+    const recentDocs = JSON.parse(localStorage.getItem(RECENT_DOCS_KEY) || '[]');
+    const kept = recentDocs.filter(d => sessionId ? d.sessionId !== sessionId : d.name !== name);
+    localStorage.setItem(RECENT_DOCS_KEY, JSON.stringify(kept));
+    loadRecentDocuments();
+}
+
 // Load and display recent documents
 function loadRecentDocuments() {
     const recentDocs = JSON.parse(localStorage.getItem(RECENT_DOCS_KEY) || '[]');
@@ -926,21 +3012,182 @@ function loadRecentDocuments() {
                 <path fill="currentColor" d="M14 2H6c-1.1 0-1.99.9-1.99 2L4 20c0 1.1.89 2 1.99 2H18c1.1 0 2-.9 2-2V8l-6-6zm2 16H8v-2h8v2zm0-4H8v-2h8v2zm-3-5V3.5L18.5 9H13z"/>
             </svg>
             <div class="recent-doc-info">
-                <div class="recent-doc-name">${doc.name}</div>
-                <div class="recent-doc-date">${formatDate(doc.lastOpened)} • ${formatFileSize(doc.fileSize)}</div>
+                <div class="recent-doc-name"></div>
+                <div class="recent-doc-date"></div>
             </div>
+            <button class="recent-doc-remove" title="Remove from this device" aria-label="Remove">&times;</button>
         `;
+        // Names come from shared files and the home library too: never parse them as HTML
+        docElement.querySelector('.recent-doc-name').textContent = doc.name;
+        docElement.querySelector('.recent-doc-date').textContent = `${formatDate(doc.lastOpened)} • ${formatFileSize(doc.fileSize)}`;
         
         docElement.addEventListener('click', () => {
-            // For demo purposes, we'll just show the document name
-            // In a real app, you would load the document from storage
-            alert(`Loading document: ${doc.name}\n\nIn a real implementation, this would load the document from storage.`);
+            openRecentDocument(doc);
+        });
+        docElement.querySelector('.recent-doc-remove').addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (doc.sessionId) {
+                removeFromRecentDocuments(doc.sessionId);
+                deleteSessionFromLibrary(doc.sessionId).catch(err => console.warn('Eviction failed:', err));
+            } else {
+                removeFromRecentDocuments(null, doc.name);
+            }
         });
         
         recentDocsContainer.appendChild(docElement);
     });
 }
 
+// Home library
+
+// Show the server's books on the upload screen (the section stays hidden without a server)
+async function loadServerLibrary() {
+    if (!serverLibraryEl) return;
+    try {
+        const books = await fetchServerLibrary();
+        if (!books) {
+            serverLibraryEl.style.display = 'none';
+            return;
+        }
+        serverLibrary.books = books;
+        // Forget picks of books removed meanwhile (on another device)
+        serverLibrary.selected = new Set(books.filter(b => serverLibrary.selected.has(b.id)).map(b => b.id));
+        renderServerLibrary();
+    } catch (e) {
+        console.warn('Could not load the home library:', e);
+        serverLibraryEl.style.display = 'none';
+    }
+}
+
+function renderServerLibrary() {
+    serverLibraryEl.style.display = 'block';
+    serverLibraryList.innerHTML = '';
+    for (const entry of serverLibrary.books) {
+        const item = document.createElement('div');
+        item.className = 'recent-doc server-book';
+        item.classList.toggle('selected', serverLibrary.selected.has(entry.id));
+        item.innerHTML = `
+            <div class="server-book-cover"></div>
+            <div class="recent-doc-info">
+                <div class="recent-doc-name"></div>
+                <div class="recent-doc-date"></div>
+            </div>
+            <button class="recent-doc-remove" title="Delete from the home library" aria-label="Delete">&times;</button>
+        `;
+        if (entry.cover) item.querySelector('.server-book-cover').style.backgroundImage = `url(${entry.cover})`;
+        item.querySelector('.recent-doc-name').textContent = entry.name;
+        item.querySelector('.recent-doc-date').textContent = `${formatDate(entry.uploadedAt)} • ${formatFileSize(entry.size)}`;
+        item.addEventListener('click', () => toggleServerBookSelection(entry.id));
+        item.querySelector('.recent-doc-remove').addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteFromServerLibrary(entry);
+        });
+        serverLibraryList.appendChild(item);
+    }
+    if (!serverLibrary.books.length) {
+        serverLibraryList.innerHTML = '<p class="feed-empty">No books yet. Upload some to read them on any device.</p>';
+    }
+    const count = serverLibrary.selected.size;
+    serverLibraryOpenBtn.disabled = !count;
+    serverLibraryOpenBtn.textContent = count ? `Read ${count} selected` : 'Read selected';
+}
+
+function toggleServerBookSelection(id) {
+    const { selected } = serverLibrary;
+    if (selected.has(id)) {
+        selected.delete(id);
+    } else if (selected.size >= getMaxBooks()) {
+        alert(`Up to ${getMaxBooks()} books can be read together. Raise the book limit in the settings to pick more.`);
+        return;
+    } else {
+        selected.add(id);
+    }
+    renderServerLibrary();
+}
+
+// Download the picked books and start a session with them
+async function openServerLibraryBooks() {
+    const entries = serverLibrary.books.filter(b => serverLibrary.selected.has(b.id));
+    if (!entries.length) return;
+    const originalDropZone = dropZone.innerHTML;
+    let files;
+    try {
+        dropZone.innerHTML = '<div class="loading">Downloading books...</div>';
+        files = await Promise.all(entries.map(downloadServerBook));
+    } catch (e) {
+        console.error('Error downloading from the home library:', e);
+        alert(`Could not download the books: ${e.message}`);
+        return;
+    } finally {
+        dropZone.innerHTML = originalDropZone;
+    }
+    serverLibrary.selected.clear();
+    renderServerLibrary();
+    await processMultipleFiles(files);
+    saveServerLibraryCovers(entries);
+}
+
+// The server can't render covers: books without one get the cover the app made when opening them
+async function saveServerLibraryCovers(entries) {
+    let changed = false;
+    for (const entry of entries.filter(e => !e.cover)) {
+        const book = booksState.find(b => b.id === entry.bookId);
+        if (!book || !book.cover) continue;
+        try {
+            await uploadServerBookCover(entry.id, book.cover);
+            changed = true;
+        } catch (e) {
+            console.warn(`Could not save the cover of "${entry.name}":`, e);
+        }
+    }
+    if (changed) loadServerLibrary();
+}
+
+function pickServerLibraryFiles() {
+    const newInput = document.createElement('input');
+    newInput.type = 'file';
+    newInput.accept = BOOK_FILE_ACCEPT;
+    newInput.multiple = true;
+    newInput.style.display = 'none';
+    newInput.addEventListener('change', async () => {
+        const files = Array.from(newInput.files || []).filter(isSupportedBookFile);
+        document.body.removeChild(newInput);
+        if (files.length) await uploadToServerLibrary(files);
+    });
+    document.body.appendChild(newInput);
+    newInput.click();
+}
+
+async function uploadToServerLibrary(files) {
+    const failed = [];
+    serverLibraryUploadBtn.disabled = true;
+    for (const [i, file] of files.entries()) {
+        serverLibraryUploadBtn.textContent = `Uploading ${i + 1}/${files.length}...`;
+        try {
+            await uploadBookToServer(file);
+        } catch (e) {
+            console.error(`Error uploading "${file.name}":`, e);
+            failed.push(`${file.name}: ${e.message}`);
+        }
+    }
+    serverLibraryUploadBtn.disabled = false;
+    serverLibraryUploadBtn.textContent = 'Upload';
+    await loadServerLibrary();
+    if (failed.length) alert(`Some books could not be uploaded:\n${failed.join('\n')}`);
+}
+
+async function deleteFromServerLibrary(entry) {
+    if (!confirm(`Delete "${entry.name}" from the home library? Copies already opened on this device are kept.`)) return;
+    try {
+        await deleteServerBook(entry.id);
+    } catch (e) {
+        console.error('Error deleting from the home library:', e);
+        alert(`Could not delete "${entry.name}": ${e.message}`);
+    }
+    serverLibrary.selected.delete(entry.id);
+    await loadServerLibrary();
+}
+
 // Format date for display
 function formatDate(isoString) {
     if (!isoString) return '';
@@ -0,0 +1,34 @@
+// Autoplay pacing
+// Each screen is held for as long as its words take to read at the autoplay WPM. When the
+// reader keeps overriding that (leaving screens early, or scrolling back to finish them) the
+// WPM is nudged toward their actual pace.
+
+const DEFAULT_AUTOPLAY_SETTINGS = { wpm: 230 };
+const AUTOPLAY_WPM_MIN = 100;
+const AUTOPLAY_WPM_MAX = 600;
+const AUTOPLAY_MIN_SECONDS = 3;     // even a heading-only screen stays this long
+const AUTOPLAY_IMAGE_SECONDS = 8;   // page images have no words to time
+const AUTOPLAY_ADAPT_WINDOW = 4;    // recent screens looked at when adapting
+const AUTOPLAY_ADAPT_STEP = 0.1;    // share the WPM changes by per adjustment
+
+// How long to hold a screen showing chunk, in ms
+function getScreenHoldMs(chunk, wpm) {
+    if (!chunk || chunk.type !== 'text') return AUTOPLAY_IMAGE_SECONDS * 1000;
+    const seconds = (countWords(chunk.content) / wpm) * 60;
+    return Math.round(Math.max(AUTOPLAY_MIN_SECONDS, seconds) * 1000);
+}
+
+// New WPM from how the reader left recent screens ('ontime', 'ahead' = skipped before the
+// time was up, 'back' = scrolled back): 3 of the last 4 skipped speeds up, 2 scrolled back
+// slows down. Returns wpm unchanged when there is no consistent pattern.
+function adaptAutoplayWpm(wpm, signals) {
+    const recent = signals.slice(-AUTOPLAY_ADAPT_WINDOW);
+    const count = kind => recent.filter(s => s === kind).length;
+    let next = wpm;
+    if (count('back') >= 2) {
+        next = wpm * (1 - AUTOPLAY_ADAPT_STEP);
+    } else if (count('ahead') >= 3) {
+        next = wpm * (1 + AUTOPLAY_ADAPT_STEP);
+    }
+    return Math.min(AUTOPLAY_WPM_MAX, Math.max(AUTOPLAY_WPM_MIN, Math.round(next / 10) * 10));
+}
@@ -0,0 +1,77 @@
+// Bookmarked screens
+// Stored in localStorage per book id against the text offset of the bookmarked chunk, so a
+// bookmark survives re-chunking (it then marks the chunk containing that offset). The chunk
+// text is kept too, for the saved-screens feed of books that are not open.
+
+const BOOKMARKS_KEY = 'bookBookmarks'; // bookId -> { name, items: [bookmark] }
+
+// bookmark: { offset, type, text, chapter, createdAt } (text is '' for page images)
+
+function loadBookmarkStore() {
+    try {
+        return JSON.parse(localStorage.getItem(BOOKMARKS_KEY) || '{}');
+    } catch {
+        return {};
+    }
+}
+
+function saveBookmarkStore(store) {
+    localStorage.setItem(BOOKMARKS_KEY, JSON.stringify(store));
+}
+
+// Bookmark of the chunk at chunkIndex, if any
+function findChunkBookmark(book, chunkIndex) {
+    const entry = loadBookmarkStore()[book.id];
+    if (!entry) return null;
+    // A loading book has no chunk yet for bookmarks past its extracted text
+    return entry.items.find(b => b.offset < book.textLength
+        && findChunkAtOffset(book.chunks, b.offset) === chunkIndex) || null;
+}
+
+// Bookmark the chunk, or remove its bookmark; returns true when it is now bookmarked
+function toggleChunkBookmark(book, chunkIndex) {
+    const store = loadBookmarkStore();
+    const existing = findChunkBookmark(book, chunkIndex);
+    if (existing) {
+        const entry = store[book.id];
+        entry.items = entry.items.filter(b => b.offset !== existing.offset);
+        if (!entry.items.length) delete store[book.id];
+        saveBookmarkStore(store);
+        queueSyncChange('bookmark', book.id, String(existing.offset), null);
+        return false;
+    }
+    const chunk = book.chunks[chunkIndex];
+    const entry = store[book.id] || (store[book.id] = { name: book.name, items: [] });
+    entry.name = book.name;
+    const bookmark = {
+        offset: chunk.offset || 0,
+        type: chunk.type,
+        text: chunk.type === 'text' ? chunk.content : '',
+        chapter: chunk.chapter || '',
+        createdAt: new Date().toISOString()
+    };
+    entry.items.push(bookmark);
+    saveBookmarkStore(store);
+    queueSyncChange('bookmark', book.id, String(bookmark.offset), { name: entry.name, bookmark }, bookmark.createdAt);
+    return true;
+}
+
+function removeBookmark(bookId, offset) {
+    const store = loadBookmarkStore();
+    const entry = store[bookId];
+    if (!entry) return;
+    entry.items = entry.items.filter(b => b.offset !== offset);
+    if (!entry.items.length) delete store[bookId];
+    saveBookmarkStore(store);
+    queueSyncChange('bookmark', bookId, String(offset), null);
+}
+
+// Every bookmark of every book, newest first: [{ bookId, name, ...bookmark }]
+function listAllBookmarks() {
+    const store = loadBookmarkStore();
+    const all = [];
+    for (const [bookId, entry] of Object.entries(store)) {
+        for (const bookmark of entry.items) all.push({ bookId, name: entry.name, ...bookmark });
+    }
+    return all.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
@@ -0,0 +1,329 @@
+// Text chunking helpers shared by the page and the PDF ingestion worker (no DOM access here)
+
+// Heuristic: identify Table of Contents/summary-like pages
+function isLikelyTOC(text) {
+    if (!text) return false;
+    const lower = text.toLowerCase();
+    const keywords = [
+        'table of contents', 'contents', 'summary', 'index',
+        'sumário', 'sumario', 'índice', 'indice', 'conteúdo', 'conteudo'
+    ];
+    if (keywords.some(k => lower.includes(k))) return true;
+    // Dot leaders and page-number heavy lines are typical in TOC
+    const dotLeader = /\.{4,}/.test(text);
+    const manyNumbers = (text.match(/\b\d{1,3}\b/g) || []).length >= 8;
+    return dotLeader || manyNumbers;
+}
+
+// "Chapter 3", "Capítulo III", ...
+const CHAPTER_HEADING_PATTERNS = [
+    /\bchapter\s+(\d+|[ivxlcdm]+|one|two|three|four|five|six|seven|eight|nine|ten)\b/i,
+    /\bcap[ií]tulo\s+(\d+|[ivxlcdm]+|um|dois|tr[eê]s|quatro|cinco|seis|sete|oito|nove|dez)\b/i
+];
+
+// Detect the start index of the first chapter heading within text, or -1 if not found
+function findChapterStartIndex(text, pageNumber = 1, minPage = 5) {
+    if (!text) return -1;
+    // Ignore potential matches on early pages or TOC-like pages
+    if (pageNumber < minPage) return -1;
+    if (isLikelyTOC(text)) return -1;
+
+    for (const re of CHAPTER_HEADING_PATTERNS) {
+        const m = text.match(re);
+        if (m && m.index !== undefined) return m.index;
+    }
+    return -1;
+}
+
+// Chapter headings that open a paragraph of text (paragraphs separated by '\n'), for books
+// without an outline: [{ index, title }]. A short line right after the heading is its name.
+function findChapterHeadings(text) {
+    const headings = [];
+    const paragraphs = String(text || '').split('\n');
+    let index = 0;
+    for (let i = 0; i < paragraphs.length; i++) {
+        const paragraph = paragraphs[i];
+        if (paragraph.length <= 80 && CHAPTER_HEADING_PATTERNS.some(re => paragraph.search(re) === 0)) {
+            const next = paragraphs[i + 1] || '';
+            const named = next && next.length <= 60 && !/[.?!,;]$/.test(next);
+            headings.push({ index, title: named ? `${paragraph}: ${next}` : paragraph });
+        }
+        index += paragraph.length + 1;
+    }
+    return headings;
+}
+
+// Longest text a single screen may hold; longer sentences are split at clause breaks
+const MAX_CHUNK_CHARS = 700;
+
+// Words that end with a period without ending the sentence (lowercase, without the final period)
+const SENTENCE_ABBREVIATIONS = {
+    en: [
+        'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc', 'e.g', 'i.e', 'cf', 'al',
+        'fig', 'figs', 'no', 'nos', 'vol', 'vols', 'ch', 'chap', 'p', 'pp', 'ed', 'eds', 'approx',
+        'inc', 'ltd', 'co', 'corp', 'dept', 'gen', 'col', 'lt', 'capt', 'sgt', 'rev', 'hon', 'gov',
+        'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+        'u.s', 'u.k', 'a.m', 'p.m', 'ph.d', 'op', 'cit', 'ibid', 'viz', 'ca'
+    ],
+    pt: [
+        'sr', 'sra', 'srs', 'sras', 'srta', 'dr', 'dra', 'drs', 'prof', 'profa', 'eng', 'arq', 'exmo',
+        'exma', 'v.exa', 'av', 'r', 'n', 'nº', 'núm', 'pág', 'págs', 'p', 'pp', 'cap', 'caps', 'vol',
+        'ed', 'etc', 'obs', 'ex', 'fig', 'tel', 'cia', 'ltda', 'a.c', 'd.c', 'séc', 'sto', 'sta',
+        'jan', 'fev', 'mar', 'abr', 'mai', 'jun', 'jul', 'ago', 'set', 'out', 'nov', 'dez',
+        'i.e', 'e.g', 'v.g', 'op', 'cit', 'al', 'ib', 'id'
+    ]
+};
+const abbreviationSets = {};
+const sentenceSegmenters = {};
+
+// Base language code ('en', 'pt', ...) from a tag like 'pt-BR'
+function normalizeLanguage(lang) {
+    return String(lang || '').toLowerCase().split(/[-_]/)[0];
+}
+
+// Guess English vs Portuguese from common function words
+function detectLanguage(text) {
+    const sample = ` ${String(text || '').slice(0, 4000).toLowerCase()} `;
+    const count = words => words.reduce((n, w) => n + (sample.split(w).length - 1), 0);
+    const pt = count([' não ', ' que ', ' uma ', ' com ', ' para ', ' os ', ' das ', ' dos ', ' é ', ' você ', 'ção ', 'ões ']);
+    const en = count([' the ', ' and ', ' of ', ' to ', ' is ', ' that ', ' with ', ' was ', ' it ', ' you ']);
+    return pt > en ? 'pt' : 'en';
+}
+
+function getAbbreviations(lang) {
+    const key = SENTENCE_ABBREVIATIONS[lang] ? lang : 'en';
+    if (!abbreviationSets[key]) abbreviationSets[key] = new Set(SENTENCE_ABBREVIATIONS[key]);
+    return abbreviationSets[key];
+}
+
+// Does this sentence candidate end in an abbreviation or an initial ("J.") rather than a full stop?
+function endsWithAbbreviation(segment, lang) {
+    const trimmed = segment.trimEnd();
+    if (!trimmed.endsWith('.') || /\.\.\.$/.test(trimmed)) return false;
+    const lastWord = trimmed.split(/\s+/).pop().replace(/^[("'“‘«\[]+/, '').slice(0, -1);
+    if (!lastWord) return false;
+    if (/^\p{Lu}$/u.test(lastWord)) return true;
+    return getAbbreviations(lang).has(lastWord.toLowerCase());
+}
+
+// Split text into sentences using Intl.Segmenter when available, else punctuation rules.
+// Handles ? ! … and closing quotes, and never breaks after a known abbreviation.
+function segmentSentences(text, lang) {
+    return segmentSentenceSpans(text, lang).map(span => span.text);
+}
+
+// Same as segmentSentences, as { text, start } spans (start = offset of the sentence in text)
+function segmentSentenceSpans(text, lang) {
+    lang = normalizeLanguage(lang) || detectLanguage(text);
+    // Raw pieces always add up to the whole text, so offsets can be tracked
+    const raw = [];
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        if (!sentenceSegmenters[lang]) sentenceSegmenters[lang] = new Intl.Segmenter(lang, { granularity: 'sentence' });
+        for (const { segment } of sentenceSegmenters[lang].segment(text)) {
+            // ICU does not treat an ellipsis before a capital letter as a sentence end
+            raw.push(...segment.split(/(?<=…["'”’»)\]]*\s+)(?=\p{Lu})/u));
+        }
+    } else {
+        // Terminators, optional closing quotes/brackets, then whitespace before a non-lowercase
+        // start; a paragraph break always ends a sentence
+        const boundary = /[.?!…]+["'”’»)\]]*\s+(?=[^\p{Ll}])|[ \t]*\n\s*/gu;
+        let last = 0;
+        let m;
+        while ((m = boundary.exec(text)) !== null) {
+            raw.push(text.slice(last, m.index + m[0].length));
+            last = m.index + m[0].length;
+        }
+        raw.push(text.slice(last));
+    }
+
+    const spans = [];
+    const pushSpan = (start, end) => {
+        const piece = text.slice(start, end);
+        const trimmed = piece.trim();
+        if (trimmed) spans.push({ text: trimmed, start: start + piece.length - piece.trimStart().length });
+    };
+
+    // Re-join pieces that were cut after an abbreviation
+    let offset = 0;
+    let pendingStart = -1;
+    let previous = '';
+    for (const piece of raw) {
+        const end = offset + piece.length;
+        // A quoted question or exclamation followed by a lowercase verb ("Why?" she asked) is one sentence
+        if (pendingStart < 0 && spans.length && /^\s*\p{Ll}/u.test(piece) && !/\n\s*$/.test(previous)) {
+            pendingStart = spans.pop().start;
+        }
+        if (pendingStart < 0) pendingStart = offset;
+        if (!endsWithAbbreviation(text.slice(pendingStart, end), lang)) {
+            pushSpan(pendingStart, end);
+            pendingStart = -1;
+        }
+        offset = end;
+        previous = piece;
+    }
+    if (pendingStart >= 0) pushSpan(pendingStart, text.length);
+    return spans;
+}
+
+// Break an over-long sentence span at clause punctuation (or spaces) so it fits on a screen
+function splitLongSentence(span, maxChars) {
+    const parts = [];
+    let rest = span.text;
+    let start = span.start;
+    while (rest.length > maxChars) {
+        const head = rest.slice(0, maxChars + 1);
+        let cut = -1;
+        const clause = /[;:,—–)]\s/g;
+        let m;
+        while ((m = clause.exec(head)) !== null) {
+            if (m.index >= maxChars * 0.5) cut = m.index + 1;
+        }
+        if (cut < 0) cut = head.lastIndexOf(' ');
+        if (cut <= 0) cut = maxChars;
+        parts.push({ text: rest.slice(0, cut).trim(), start });
+        const next = rest.slice(cut);
+        start += cut + next.length - next.trimStart().length;
+        rest = next.trim();
+    }
+    if (rest) parts.push({ text: rest, start });
+    return parts;
+}
+
+function countWords(text) {
+    const m = String(text || '').match(/\S+/g);
+    return m ? m.length : 0;
+}
+
+// Default screen sizing: N sentences, about N words, or about N seconds at a reading speed (wpm)
+const DEFAULT_CHUNK_SETTINGS = { mode: 'sentences', sentences: 4, words: 80, seconds: 20, wpm: 230 };
+
+// Target words per screen for the word/time modes (0 for sentence mode)
+function getTargetWords(settings) {
+    if (settings.mode === 'words') return Math.max(5, settings.words | 0);
+    if (settings.mode === 'time') return Math.max(5, Math.round(settings.seconds * settings.wpm / 60));
+    return 0;
+}
+
+// Split text into screen chunks per settings, as { content, start } (start = offset in text).
+// No chunk is longer than the max length unless a bigger word target asks for it.
+function chunkText(text, settings = DEFAULT_CHUNK_SETTINGS, lang) {
+    const targetWords = getTargetWords(settings);
+    const maxChars = Math.max(MAX_CHUNK_CHARS, targetWords * 7);
+    const sentencesPerChunk = Math.max(1, settings.sentences | 0 || DEFAULT_CHUNK_SETTINGS.sentences);
+    const sentences = [];
+    for (const span of segmentSentenceSpans(text, lang)) {
+        sentences.push(...splitLongSentence(span, maxChars));
+    }
+
+    const chunks = [];
+    let group = [];
+    let groupChars = 0;
+    let groupWords = 0;
+    for (const sentence of sentences) {
+        const words = countWords(sentence.text);
+        const full = targetWords
+            // Close a screen once adding the sentence overshoots the target (but not a half-empty one)
+            ? groupWords + words > targetWords && groupWords >= targetWords * 0.5
+            : group.length >= sentencesPerChunk;
+        if (group.length && (full || groupChars + 1 + sentence.text.length > maxChars)) {
+            chunks.push(groupToChunk(text, group));
+            group = [];
+            groupChars = 0;
+            groupWords = 0;
+        }
+        groupChars += (group.length ? 1 : 0) + sentence.text.length;
+        groupWords += words;
+        group.push(sentence);
+    }
+    if (group.length) chunks.push(groupToChunk(text, group));
+    return chunks;
+}
+
+// One chunk from consecutive sentence spans of text, keeping its paragraph breaks
+function groupToChunk(text, group) {
+    const last = group[group.length - 1];
+    const content = normalizeParagraphs(text.slice(group[0].start, last.start + last.text.length));
+    return { content, start: group[0].start };
+}
+
+// Collapse whitespace inside paragraphs; paragraphs are separated by a single '\n'
+function normalizeParagraphs(text) {
+    return String(text || '')
+        .split(/\s*\n\s*/)
+        .map(p => p.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+// Paragraphs of plain text (or Markdown) are separated by blank lines; single line
+// breaks are just wrapping
+function plainTextParagraphs(text) {
+    return normalizeParagraphs(String(text || '').replace(/\r\n?/g, '\n').split(/\n[ \t]*\n/).map(p => p.replace(/\s+/g, ' ')).join('\n'));
+}
+
+// Split text into chunks of N sentences, keeping punctuation. No chunk is longer than
+// MAX_CHUNK_CHARS; options.lang ('en', 'pt', ...) picks the abbreviation list (detected if omitted).
+function splitIntoSentenceChunks(text, sentencesPerChunk = 4, options = {}) {
+    return chunkText(text, { mode: 'sentences', sentences: sentencesPerChunk }, options.lang).map(c => c.content);
+}
+
+// Books keep their extracted content as blocks so they can be re-chunked without re-parsing:
+//   { type: 'text', text, chapter?, ocr? } | { type: 'image', content, chapter?, page?, ocrSource? }
+// Paragraphs inside a text block (and inside chunk content) are separated by '\n'.
+// Every chunk gets a stable text offset into the book (text blocks count length + 1, images 1),
+// which survives re-chunking and is what positions are saved against.
+function chunkBlocks(blocks, settings, startOffset = 0, lang) {
+    const chunks = [];
+    let offset = startOffset;
+    for (const block of blocks) {
+        if (block.type === 'image') {
+            // A scanned page read by OCR is shown as its text
+            if (block.ocrSource) continue;
+            const chunk = { type: 'image', content: block.content, offset };
+            if (block.chapter) chunk.chapter = block.chapter;
+            chunks.push(chunk);
+            offset += 1;
+            continue;
+        }
+        for (const c of chunkText(block.text, settings, lang)) {
+            const chunk = { type: 'text', content: c.content, offset: offset + c.start };
+            if (block.chapter) chunk.chapter = block.chapter;
+            if (block.ocr) chunk.ocr = block.ocr;
+            chunks.push(chunk);
+        }
+        offset += block.text.length + 1;
+    }
+    return { chunks, endOffset: offset };
+}
+
+// Append newly extracted blocks to a (possibly still loading) book
+function appendBookBlocks(book, blocks, settings) {
+    const { chunks, endOffset } = chunkBlocks(blocks, settings, book.textLength || 0, book.lang);
+    book.blocks.push(...blocks);
+    book.chunks.push(...chunks);
+    book.textLength = endOffset;
+}
+
+// Re-chunk a whole book from its blocks
+function rechunkBook(book, settings) {
+    const { chunks, endOffset } = chunkBlocks(book.blocks, settings, 0, book.lang);
+    book.chunks = chunks;
+    book.textLength = endOffset;
+}
+
+// Index of the chunk containing a text offset (the last chunk starting at or before it)
+function findChunkAtOffset(chunks, offset) {
+    let lo = 0;
+    let hi = chunks.length - 1;
+    let found = 0;
+    while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        if (chunks[mid].offset <= offset) {
+            found = mid;
+            lo = mid + 1;
+        } else {
+            hi = mid - 1;
+        }
+    }
+    return found;
+}
@@ -0,0 +1,232 @@
+// EPUB importer
+// Unzips the container, follows the OPF spine and turns each XHTML document into
+// text and image blocks, producing the same { id, name, cover, blocks } book as PDFs.
+
+function isEpubFile(file) {
+    return file.type === 'application/epub+zip' || /\.epub$/i.test(file.name);
+}
+
+// Build a book object from an EPUB File
+async function buildBookFromEpub(file) {
+    const zip = readZipEntries(await file.arrayBuffer());
+
+    // META-INF/container.xml points at the OPF package document
+    const container = parseXml(await readZipText(zip, 'META-INF/container.xml'));
+    const rootfile = container.querySelector('rootfile');
+    const opfPath = rootfile && rootfile.getAttribute('full-path');
+    if (!opfPath) throw new Error('EPUB has no package document');
+    const opf = parseXml(await readZipText(zip, opfPath));
+    const opfDir = dirnameOf(opfPath);
+
+    // Manifest: id -> { href, type, properties }
+    const manifest = {};
+    opf.querySelectorAll('manifest > item').forEach(item => {
+        manifest[item.getAttribute('id')] = {
+            href: resolveZipPath(opfDir, item.getAttribute('href') || ''),
+            type: item.getAttribute('media-type') || '',
+            properties: item.getAttribute('properties') || ''
+        };
+    });
+
+    const title = readDublinCore(opf, 'title');
+    const lang = normalizeLanguage(readDublinCore(opf, 'language'));
+    const cover = await readEpubCover(zip, opf, manifest);
+
+    const blocks = [];
+    const spine = Array.from(opf.querySelectorAll('spine > itemref'));
+    for (const itemref of spine) {
+        // Non-linear items (footnotes, pop-ups) are not part of the reading order
+        if (itemref.getAttribute('linear') === 'no') continue;
+        const item = manifest[itemref.getAttribute('idref')];
+        if (!item || !/x?html/i.test(item.type)) continue;
+        try {
+            const doc = parseXhtml(await readZipText(zip, item.href));
+            await appendEpubDocumentBlocks(zip, doc, dirnameOf(item.href), manifest, blocks);
+        } catch (err) {
+            console.warn('EPUB section parse failed:', item.href, err);
+        }
+    }
+
+    return {
+        id: makeBookId(file),
+        name: title || file.name.replace(/\.epub$/i, ''),
+        cover,
+        lang,
+        blocks
+    };
+}
+
+// Walk an XHTML document in order, emitting text blocks between inline images
+async function appendEpubDocumentBlocks(zip, doc, baseDir, manifest, blocks) {
+    const body = doc.body || doc.querySelector('body') || doc.documentElement;
+    let buffer = '';
+
+    const flushText = () => {
+        const text = normalizeParagraphs(buffer);
+        buffer = '';
+        if (text) blocks.push({ type: 'text', text });
+    };
+
+    const blockTags = /^(p|div|section|article|aside|header|footer|h[1-6]|li|ul|ol|blockquote|pre|tr|table|figure|figcaption|dt|dd|hr|br)$/i;
+    const skipTags = /^(script|style|head|title|nav)$/i;
+
+    const walk = async (node) => {
+        for (const child of Array.from(node.childNodes)) {
+            if (child.nodeType === 3) {
+                // Source line breaks are just whitespace; block elements mark paragraphs
+                buffer += child.data.replace(/\s+/g, ' ');
+                continue;
+            }
+            if (child.nodeType !== 1) continue;
+            const tag = child.localName || child.nodeName;
+            if (skipTags.test(tag)) continue;
+
+            if (/^(img|image)$/i.test(tag)) {
+                const src = child.getAttribute('src')
+                    || child.getAttributeNS('http://www.w3.org/1999/xlink', 'href')
+                    || child.getAttribute('xlink:href')
+                    || child.getAttribute('href');
+                if (src) {
+                    const path = resolveZipPath(baseDir, src);
+                    const dataUrl = await readZipDataUrl(zip, path, mimeForPath(path, manifest));
+                    if (dataUrl) {
+                        flushText();
+                        blocks.push({ type: 'image', content: dataUrl });
+                    }
+                }
+                continue;
+            }
+
+            const isBlock = blockTags.test(tag);
+            if (isBlock) buffer += '\n';
+            await walk(child);
+            if (isBlock) buffer += '\n';
+        }
+    };
+
+    await walk(body);
+    flushText();
+}
+
+// Cover image from EPUB 3 properties="cover-image" or the EPUB 2 <meta name="cover">
+async function readEpubCover(zip, opf, manifest) {
+    let coverItem = Object.values(manifest).find(it => /\bcover-image\b/.test(it.properties));
+    if (!coverItem) {
+        const meta = opf.querySelector('metadata > meta[name="cover"]');
+        const id = meta && meta.getAttribute('content');
+        if (id && manifest[id]) coverItem = manifest[id];
+    }
+    if (!coverItem || !/^image\//.test(coverItem.type)) return '';
+    try {
+        return await readZipDataUrl(zip, coverItem.href, coverItem.type);
+    } catch (e) {
+        console.warn('Failed to extract EPUB cover:', e);
+        return '';
+    }
+}
+
+// First Dublin Core metadata value (dc:title, dc:language, ...) of the package document
+function readDublinCore(opf, name) {
+    const el = opf.getElementsByTagNameNS('http://purl.org/dc/elements/1.1/', name)[0];
+    return el ? el.textContent.trim() : '';
+}
+
+function parseXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror')) throw new Error('Invalid XML in EPUB');
+    return doc;
+}
+
+// Strict XHTML first; many EPUBs contain sloppy markup, so fall back to the HTML parser
+function parseXhtml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xhtml+xml');
+    if (!doc.querySelector('parsererror')) return doc;
+    return new DOMParser().parseFromString(text, 'text/html');
+}
+
+function dirnameOf(path) {
+    const i = path.lastIndexOf('/');
+    return i >= 0 ? path.slice(0, i + 1) : '';
+}
+
+// Resolve an href relative to a directory inside the zip, dropping fragments and ../
+function resolveZipPath(baseDir, href) {
+    const clean = decodeURIComponent(href.split('#')[0]);
+    const parts = (clean.startsWith('/') ? clean.slice(1) : baseDir + clean).split('/');
+    const out = [];
+    for (const part of parts) {
+        if (part === '..') out.pop();
+        else if (part !== '.' && part !== '') out.push(part);
+    }
+    return out.join('/');
+}
+
+function mimeForPath(path, manifest) {
+    const item = Object.values(manifest).find(it => it.href === path);
+    if (item && item.type) return item.type;
+    const ext = (path.split('.').pop() || '').toLowerCase();
+    return {
+        jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png',
+        gif: 'image/gif', svg: 'image/svg+xml', webp: 'image/webp'
+    }[ext] || 'application/octet-stream';
+}
+
+// Minimal zip reader: central directory parsing + inflate through DecompressionStream
+function readZipEntries(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const bytes = new Uint8Array(arrayBuffer);
+
+    // Find the End Of Central Directory record (it may be followed by a comment)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw new Error('Not a valid EPUB (zip directory not found)');
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder('utf-8');
+    const entries = {};
+    for (let n = 0; n < count; n++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt EPUB zip directory');
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLen = view.getUint16(offset + 28, true);
+        const extraLen = view.getUint16(offset + 30, true);
+        const commentLen = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLen));
+        entries[name] = { method, compressedSize, localOffset };
+        offset += 46 + nameLen + extraLen + commentLen;
+    }
+    return { bytes, view, entries };
+}
+
+async function readZipBytes(zip, path) {
+    const entry = zip.entries[path];
+    if (!entry) throw new Error(`Missing file in EPUB: ${path}`);
+    const local = entry.localOffset;
+    if (zip.view.getUint32(local, true) !== 0x04034b50) throw new Error(`Corrupt EPUB entry: ${path}`);
+    const start = local + 30 + zip.view.getUint16(local + 26, true) + zip.view.getUint16(local + 28, true);
+    const data = zip.bytes.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) return data;
+    if (entry.method !== 8) throw new Error(`Unsupported compression in EPUB: ${path}`);
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot unzip EPUB files');
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function readZipText(zip, path) {
+    return new TextDecoder('utf-8').decode(await readZipBytes(zip, path));
+}
+
+async function readZipDataUrl(zip, path, mimeType) {
+    if (!zip.entries[path]) return '';
+    const blob = new Blob([await readZipBytes(zip, path)], { type: mimeType });
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
@@ -0,0 +1,136 @@
+// Touch gestures
+// One-finger touches on an element are sorted into vertical drags (with the velocity they were
+// released at), taps, double taps and long presses; what each one does is up to the caller.
+// Horizontal drags are left to the browser, and mouse and keyboard input is not touched.
+
+const GESTURE_SLOP = 10;                 // px a finger may drift and still tap or press
+const GESTURE_DOUBLE_TAP_MS = 300;       // longest gap between the two taps of a double tap
+const GESTURE_LONG_PRESS_MS = 500;
+const GESTURE_VELOCITY_WINDOW_MS = 100;  // the release velocity is measured over this much movement
+const GESTURE_SWIPE_VELOCITY = 0.3;      // px/ms: a flick this fast turns the screen whatever its length
+const GESTURE_SWIPE_DISTANCE = 0.2;      // share of a screen a slow drag must cover to turn it
+const GESTURE_TAP_ZONE = 0.3;            // share of the width on each side where a tap turns the screen
+const DEFAULT_GESTURE_SETTINGS = { longPress: 'chapters', doubleTap: 'highlight' };
+
+// Screens to move for a drag of dy px released at velocity px/ms (negative: the finger went
+// up): -1, 0 or 1, never more however hard the flick
+function getSwipeStep(dy, velocity, screenHeight) {
+    if (Math.abs(velocity) >= GESTURE_SWIPE_VELOCITY) return velocity < 0 ? 1 : -1;
+    if (Math.abs(dy) >= screenHeight * GESTURE_SWIPE_DISTANCE) return dy < 0 ? 1 : -1;
+    return 0;
+}
+
+// Velocity (px/ms) of the last GESTURE_VELOCITY_WINDOW_MS of samples ([{ y, time }]); a finger
+// that stopped before lifting has none
+function getReleaseVelocity(samples, releaseTime) {
+    const last = samples[samples.length - 1];
+    if (!last || releaseTime - last.time > GESTURE_VELOCITY_WINDOW_MS) return 0;
+    const first = samples.find(s => last.time - s.time <= GESTURE_VELOCITY_WINDOW_MS) || last;
+    return last.time > first.time ? (last.y - first.y) / (last.time - first.time) : 0;
+}
+
+// handlers: {
+//   ignore(target)          -> true for touches to leave to the browser (controls, links)
+//   dragStart(), drag(dy), dragEnd(dy, velocity)   dy from where the finger went down
+//   tap(point), doubleTap(point), longPress(point)  point: { x, y, target }
+// }
+// A tap is reported once it can no longer become a double tap.
+function attachGestures(element, handlers) {
+    let start = null;     // { x, y, target } of the finger down
+    let mode = '';        // '', 'drag', 'browser' (horizontal), 'press' (long press fired)
+    let samples = [];
+    let pressTimer = null;
+    let lastTap = null;   // { x, y, time } of a tap waiting for a second one
+    let tapTimer = null;
+
+    const reset = () => {
+        clearTimeout(pressTimer);
+        start = null;
+    };
+
+    element.addEventListener('touchstart', (e) => {
+        if (e.touches.length !== 1 || handlers.ignore(e.target)) {
+            // A second finger ends any drag where it is
+            if (start && mode === 'drag') handlers.dragEnd(0, 0);
+            reset();
+            return;
+        }
+        const t = e.touches[0];
+        start = { x: t.clientX, y: t.clientY, target: e.target };
+        mode = '';
+        samples = [{ y: t.clientY, time: e.timeStamp }];
+        clearTimeout(pressTimer);
+        pressTimer = setTimeout(() => {
+            if (!start || mode) return;
+            mode = 'press';
+            handlers.longPress(start);
+        }, GESTURE_LONG_PRESS_MS);
+    }, { passive: true });
+
+    element.addEventListener('touchmove', (e) => {
+        if (!start) return;
+        const t = e.touches[0];
+        const dx = t.clientX - start.x;
+        const dy = t.clientY - start.y;
+        if (!mode) {
+            if (Math.hypot(dx, dy) < GESTURE_SLOP) return;
+            clearTimeout(pressTimer);
+            mode = Math.abs(dy) >= Math.abs(dx) ? 'drag' : 'browser';
+            if (mode === 'drag') handlers.dragStart();
+        }
+        if (mode === 'drag') {
+            e.preventDefault(); // the reader follows the finger instead of scrolling natively
+            samples.push({ y: t.clientY, time: e.timeStamp });
+            if (samples.length > 20) samples.shift();
+            handlers.drag(dy);
+        } else if (mode === 'press') {
+            e.preventDefault();
+        }
+    }, { passive: false });
+
+    element.addEventListener('touchend', (e) => {
+        if (!start) return;
+        const down = start;
+        reset();
+        if (mode === 'drag') {
+            const t = e.changedTouches[0];
+            handlers.dragEnd(t.clientY - down.y, getReleaseVelocity(samples, e.timeStamp));
+            return;
+        }
+        if (mode === 'press') {
+            e.preventDefault(); // no click after a long press
+            return;
+        }
+        if (mode) return;
+
+        const tap = { x: down.x, y: down.y, time: e.timeStamp };
+        clearTimeout(tapTimer);
+        if (lastTap && tap.time - lastTap.time <= GESTURE_DOUBLE_TAP_MS
+            && Math.hypot(tap.x - lastTap.x, tap.y - lastTap.y) <= GESTURE_SLOP * 3) {
+            lastTap = null;
+            e.preventDefault(); // nor a click, or a native double-tap selection
+            handlers.doubleTap(down);
+            return;
+        }
+        lastTap = tap;
+        tapTimer = setTimeout(() => {
+            lastTap = null;
+            handlers.tap(down);
+        }, GESTURE_DOUBLE_TAP_MS);
+    });
+
+    element.addEventListener('touchcancel', () => {
+        if (start && mode === 'drag') handlers.dragEnd(0, 0);
+        reset();
+    });
+
+    // Some browsers open their own menu on a long press, sometimes before the timer fires
+    element.addEventListener('contextmenu', (e) => {
+        if (start && !mode) {
+            clearTimeout(pressTimer);
+            mode = 'press';
+            handlers.longPress(start);
+        }
+        if (start && mode === 'press') e.preventDefault();
+    });
+}
@@ -0,0 +1,159 @@
+// Highlights and notes
+// Stored in localStorage per book id, against text offsets into the book (the same stable
+// offsets chunks carry), so they survive re-chunking and a different interleave order.
+// Each one also keeps the highlighted text to find it again if offsets drift.
+
+const HIGHLIGHTS_KEY = 'bookHighlights'; // bookId -> { name, items: [highlight] }
+const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+// highlight: { id, start, end, text, color, note, chapter, createdAt, updatedAt }
+
+// Parsed once: every rendered screen looks its highlights up here
+let highlightStore = null;
+
+function loadHighlightStore() {
+    if (!highlightStore) {
+        try {
+            highlightStore = JSON.parse(localStorage.getItem(HIGHLIGHTS_KEY) || '{}');
+        } catch {
+            highlightStore = {};
+        }
+    }
+    return highlightStore;
+}
+
+function saveHighlightStore(store) {
+    highlightStore = store;
+    localStorage.setItem(HIGHLIGHTS_KEY, JSON.stringify(store));
+}
+
+// Highlights of a book in reading order
+function getBookHighlights(bookId) {
+    const entry = loadHighlightStore()[bookId];
+    return entry ? [...entry.items].sort((a, b) => a.start - b.start) : [];
+}
+
+// range: { start, end, text, chapter } in book offsets
+function addHighlight(book, range, color, note = '') {
+    const store = loadHighlightStore();
+    const entry = store[book.id] || (store[book.id] = { name: book.name, items: [] });
+    entry.name = book.name;
+    const now = new Date().toISOString();
+    const item = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        start: range.start,
+        end: range.end,
+        text: range.text,
+        color: HIGHLIGHT_COLORS.includes(color) ? color : HIGHLIGHT_COLORS[0],
+        note: note.trim(),
+        chapter: range.chapter || '',
+        createdAt: now,
+        updatedAt: now
+    };
+    entry.items.push(item);
+    saveHighlightStore(store);
+    queueSyncChange('highlight', book.id, item.id, { name: entry.name, highlight: item }, item.updatedAt);
+    return item;
+}
+
+// changes: { color?, note? }
+function updateHighlight(bookId, id, changes) {
+    const store = loadHighlightStore();
+    const item = store[bookId] && store[bookId].items.find(h => h.id === id);
+    if (!item) return null;
+    if (changes.color && HIGHLIGHT_COLORS.includes(changes.color)) item.color = changes.color;
+    if (typeof changes.note === 'string') item.note = changes.note.trim();
+    item.updatedAt = new Date().toISOString();
+    saveHighlightStore(store);
+    queueSyncChange('highlight', bookId, id, { name: store[bookId].name, highlight: item }, item.updatedAt);
+    return item;
+}
+
+function removeHighlight(bookId, id) {
+    const store = loadHighlightStore();
+    const entry = store[bookId];
+    if (!entry) return;
+    entry.items = entry.items.filter(h => h.id !== id);
+    if (!entry.items.length) delete store[bookId];
+    saveHighlightStore(store);
+    queueSyncChange('highlight', bookId, id, null);
+}
+
+// Highlights overlapping a chunk, as ranges local to its content. A highlight whose text is
+// no longer at its offsets (the book was re-imported) is looked up by its text instead.
+function getChunkHighlights(highlights, chunk) {
+    const from = chunk.offset || 0;
+    const to = from + chunk.content.length;
+    const ranges = [];
+    for (const h of highlights) {
+        let start = h.start - from;
+        let end = h.end - from;
+        if (h.start >= from && h.end <= to && chunk.content.slice(start, end) !== h.text) {
+            const found = chunk.content.indexOf(h.text);
+            if (found < 0) continue;
+            start = found;
+            end = found + h.text.length;
+        } else if (h.end <= from || h.start >= to) {
+            continue;
+        }
+        ranges.push({ ...h, start: Math.max(0, start), end: Math.min(chunk.content.length, end) });
+    }
+    return ranges;
+}
+
+// Books with highlights, for export: [{ id, name, highlights }] (one book, or all of them)
+function getHighlightExport(bookId) {
+    const store = loadHighlightStore();
+    const ids = bookId ? [bookId] : Object.keys(store);
+    return ids
+        .filter(id => store[id] && store[id].items.length)
+        .map(id => ({ id, name: store[id].name, highlights: getBookHighlights(id) }));
+}
+
+function highlightsToMarkdown(books) {
+    const lines = [];
+    for (const book of books) {
+        lines.push(`# ${book.name}`, '');
+        let chapter = null;
+        for (const h of book.highlights) {
+            if (h.chapter && h.chapter !== chapter) {
+                lines.push(`## ${h.chapter}`, '');
+            }
+            chapter = h.chapter;
+            lines.push(...h.text.split('\n').map(line => `> ${line}`), '');
+            if (h.note) lines.push(h.note, '');
+        }
+    }
+    return lines.join('\n');
+}
+
+function highlightsToJson(books) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), books }, null, 2);
+}
+
+// Save text as a file through a temporary download link
+function downloadTextFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Export highlights of one book (or the whole library) as 'markdown' or 'json'
+function exportHighlights(bookId, format) {
+    const books = getHighlightExport(bookId);
+    if (!books.length) {
+        alert('No highlights to export yet.');
+        return;
+    }
+    const base = (bookId ? books[0].name : 'readtok-highlights').replace(/[\\/:*?"<>|]+/g, '_');
+    if (format === 'json') {
+        downloadTextFile(`${base}.json`, highlightsToJson(books), 'application/json');
+    } else {
+        downloadTextFile(`${base}.md`, highlightsToMarkdown(books), 'text/markdown');
+    }
+}
@@ -0,0 +1,176 @@
+// Book ingestion jobs
+// PDFs are parsed in a Web Worker (or on the main thread where workers can't be used) and
+// stream their blocks into job.book as pages are parsed, so reading can start early.
+// Blocks are chunked here on the main thread with the book's chunk settings.
+// EPUB and text formats are quick to build and finish in one step.
+
+const PDF_WORKER_URL = 'js/pdf-worker.js';
+
+// Jobs of the current upload/add batch: { file, book, page, numPages, status, error, promise, cancel }
+let ingestJobs = [];
+
+function canUsePdfWorker() {
+    // Browsers block workers for file:// pages; pdf.js needs OffscreenCanvas to render covers off-thread
+    return typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && location.protocol !== 'file:';
+}
+
+// Start building a book from a file. job.book fills in while it runs; job.promise resolves
+// with the book (marked partial if cancelled) and rejects if the file could not be read.
+function startBookIngest(file, onUpdate = () => {}) {
+    const book = {
+        id: makeBookId(file),
+        name: file.name.replace(/\.[^.]+$/, ''),
+        cover: '',
+        blocks: [],
+        chunks: [],
+        textLength: 0,
+        loading: true
+    };
+    const job = { file, book, page: 0, numPages: 0, status: 'running', error: null, cancel: () => {} };
+    const notify = () => onUpdate(job);
+
+    const run = async () => {
+        if (!isPdfFile(file)) {
+            const built = isEpubFile(file) ? await buildBookFromEpub(file) : await buildBookFromTextFile(file);
+            Object.assign(book, built, { loading: true });
+            rechunkBook(book, getChunkSettings(book.id));
+            return 'done';
+        }
+        const options = {
+            skipFrontMatter: shouldSkipFrontMatter(),
+            minChapterPage: getMinChapterPage(),
+            ocr: isOcrEnabled()
+        };
+        if (canUsePdfWorker()) {
+            const result = await runPdfIngestWorker(job, await file.arrayBuffer(), options, notify);
+            if (result) return result;
+            console.warn('PDF worker unavailable, parsing on the main thread:', file.name);
+        }
+        return runPdfIngestMainThread(job, await file.arrayBuffer(), options, notify);
+    };
+
+    job.promise = run().then(status => {
+        job.status = status;
+        book.loading = false;
+        if (status === 'cancelled') book.partial = true;
+        notify();
+        return book;
+    }, err => {
+        job.status = 'error';
+        job.error = err;
+        book.loading = false;
+        notify();
+        throw err;
+    });
+    ingestJobs.push(job);
+    return job;
+}
+
+// Resolves 'done' / 'cancelled', or null when the worker could not start at all
+function runPdfIngestWorker(job, data, options, notify) {
+    return new Promise((resolve, reject) => {
+        let worker;
+        try {
+            worker = new Worker(PDF_WORKER_URL);
+        } catch (e) {
+            resolve(null);
+            return;
+        }
+        let started = false;
+        job.cancel = () => {
+            worker.terminate();
+            resolve('cancelled');
+        };
+        worker.onmessage = (e) => {
+            const msg = e.data;
+            started = true;
+            switch (msg.type) {
+                case 'cover':
+                    job.book.cover = msg.cover;
+                    break;
+                case 'blocks':
+                    appendBookBlocks(job.book, msg.blocks, getChunkSettings(job.book.id));
+                    break;
+                case 'progress':
+                    job.page = msg.page;
+                    job.numPages = msg.numPages;
+                    break;
+                case 'ocr':
+                    // A page without a text layer: read it here and send the text back (null
+                    // keeps it an image page)
+                    recognizePageImage(msg.image).catch(err => {
+                        console.warn('OCR unavailable:', err);
+                        return null;
+                    }).then(result => worker.postMessage({ type: 'ocr-result', id: msg.id, result }));
+                    return;
+                case 'done':
+                    worker.terminate();
+                    resolve('done');
+                    return;
+                case 'error':
+                    worker.terminate();
+                    reject(new Error(msg.message));
+                    return;
+            }
+            notify();
+        };
+        worker.onerror = (e) => {
+            e.preventDefault();
+            worker.terminate();
+            // A script loading failure happens before any message: let the caller fall back
+            if (!started) resolve(null);
+            else reject(new Error(e.message || 'PDF worker failed'));
+        };
+        worker.postMessage({ type: 'ingest', data, options }, [data]);
+    });
+}
+
+async function runPdfIngestMainThread(job, data, options, notify) {
+    if (typeof pdfjsLib === 'undefined') throw new Error('PDF.js (pdfjsLib) is not loaded');
+    let cancelled = false;
+    job.cancel = () => { cancelled = true; };
+    await extractPdfBook(data, options, {
+        createCanvas: (width, height) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            return canvas;
+        },
+        canvasToDataUrl: (canvas, quality) => canvas.toDataURL('image/jpeg', quality),
+        onCover: cover => { job.book.cover = cover; notify(); },
+        onBlocks: blocks => { appendBookBlocks(job.book, blocks, getChunkSettings(job.book.id)); notify(); },
+        onProgress: (page, numPages) => { job.page = page; job.numPages = numPages; notify(); },
+        recognizePage: canvas => recognizePageImage(canvas).catch(err => {
+            console.warn('OCR unavailable:', err);
+            return null;
+        }),
+        isCancelled: () => cancelled
+    });
+    return cancelled ? 'cancelled' : 'done';
+}
+
+function isIngestRunning() {
+    return ingestJobs.some(j => j.status === 'running');
+}
+
+// Stop every running job; books keep the blocks parsed so far
+function cancelIngest() {
+    ingestJobs.filter(j => j.status === 'running').forEach(j => j.cancel());
+}
+
+// Overall progress 0..1 across running and finished jobs
+function getIngestProgress() {
+    if (!ingestJobs.length) return 1;
+    const sum = ingestJobs.reduce((acc, j) => {
+        if (j.status !== 'running') return acc + 1;
+        return acc + (j.numPages ? j.page / j.numPages : 0);
+    }, 0);
+    return sum / ingestJobs.length;
+}
+
+// Forget finished jobs before a new batch starts
+function clearFinishedIngestJobs() {
+    ingestJobs = ingestJobs.filter(j => j.status === 'running');
+}
@@ -0,0 +1,135 @@
+// Interleaving strategies: which book fills the next screen
+// pumpInterleave() asks pickInterleaveBook() for one of the books that still have chunks in
+// the current phase, and calls placeInterleaveBook() once that book's chunk is on a screen.
+// A picked book whose next chunk is still being parsed is asked for again later, so picking
+// never changes the state; only placing does.
+
+// strategy: { type, weights (bookId -> share), size (screens per turn), seed }
+const DEFAULT_INTERLEAVE_STRATEGY = { type: 'round-robin', weights: {}, size: 3, seed: 1 };
+const INTERLEAVE_STRATEGY_TYPES = ['round-robin', 'weighted', 'blocks', 'chapters', 'time', 'shuffle'];
+const INTERLEAVE_MAX_WEIGHT = 9;
+const INTERLEAVE_MAX_BLOCK = 20;
+
+function normalizeInterleaveStrategy(strategy) {
+    const s = { ...DEFAULT_INTERLEAVE_STRATEGY, ...(strategy || {}) };
+    if (!INTERLEAVE_STRATEGY_TYPES.includes(s.type)) s.type = DEFAULT_INTERLEAVE_STRATEGY.type;
+    s.weights = { ...s.weights };
+    s.size = Math.min(INTERLEAVE_MAX_BLOCK, Math.max(1, s.size | 0));
+    s.seed = s.seed >>> 0 || 1;
+    return s;
+}
+
+// Per-phase state of a strategy for books.length books
+function createInterleaveTurn(strategy, bookCount) {
+    return {
+        cursor: 0,                                  // round-robin: next book to ask
+        credit: new Array(bookCount).fill(0),       // weighted: smooth weighted round-robin credit
+        time: new Array(bookCount).fill(0),         // time: reading time placed per book (ms)
+        run: { bookIndex: -1, count: 0, chapter: '' }, // blocks / chapters: the current turn
+        rng: strategy.seed                          // shuffle: PRNG state
+    };
+}
+
+function getInterleaveWeight(st, i) {
+    const weight = st.strategy.weights[st.books[i].id];
+    return Math.min(INTERLEAVE_MAX_WEIGHT, Math.max(1, weight | 0 || 1));
+}
+
+// First of eligible at or after from, going round
+function nextEligibleBook(eligible, from, bookCount) {
+    for (let k = 0; k < bookCount; k++) {
+        const i = (from + k) % bookCount;
+        if (eligible.includes(i)) return i;
+    }
+    return eligible[0];
+}
+
+// mulberry32: [value in [0, 1), next state] for a state, without changing anything
+function peekRandom(state) {
+    const next = (state + 0x6D2B79F5) >>> 0;
+    let t = next;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return [((t ^ (t >>> 14)) >>> 0) / 4294967296, next];
+}
+
+// Book to place next; eligible lists the indexes of books with chunks left in this phase
+function pickInterleaveBook(st, eligible) {
+    const { turn, strategy } = st;
+    const n = st.books.length;
+    switch (strategy.type) {
+        case 'weighted': {
+            // The book furthest behind its share goes next (ties: earlier book)
+            let best = eligible[0];
+            for (const i of eligible) {
+                if (turn.credit[i] + getInterleaveWeight(st, i) > turn.credit[best] + getInterleaveWeight(st, best)) best = i;
+            }
+            return best;
+        }
+        case 'blocks': {
+            const { bookIndex, count } = turn.run;
+            if (eligible.includes(bookIndex) && count < strategy.size) return bookIndex;
+            return nextEligibleBook(eligible, bookIndex + 1, n);
+        }
+        case 'chapters': {
+            // Stay on a book until its chapter changes; books without chapter titles take
+            // blocks of strategy.size screens
+            const { bookIndex, count, chapter } = turn.run;
+            if (eligible.includes(bookIndex)) {
+                const next = st.books[bookIndex].chunks[st.positions[bookIndex]];
+                if (!next) return bookIndex; // not parsed yet: wait to see where the chapter ends
+                const title = next.chapter || '';
+                if (title ? title === chapter : !chapter && count < strategy.size) return bookIndex;
+            }
+            return nextEligibleBook(eligible, bookIndex + 1, n);
+        }
+        case 'time': {
+            // The book with the least reading time so far (ties: round-robin order)
+            let best = -1;
+            for (let k = 0; k < n; k++) {
+                const i = (turn.cursor + k) % n;
+                if (eligible.includes(i) && (best < 0 || turn.time[i] < turn.time[best])) best = i;
+            }
+            return best;
+        }
+        case 'shuffle': {
+            const [value] = peekRandom(turn.rng);
+            return eligible[Math.floor(value * eligible.length)];
+        }
+        default:
+            return nextEligibleBook(eligible, turn.cursor, n);
+    }
+}
+
+// Book i's chunk was placed on the next screen
+function placeInterleaveBook(st, i, eligible, chunk) {
+    const { turn, strategy } = st;
+    const n = st.books.length;
+    turn.cursor = (i + 1) % n;
+    switch (strategy.type) {
+        case 'weighted': {
+            let total = 0;
+            for (const j of eligible) {
+                turn.credit[j] += getInterleaveWeight(st, j);
+                total += getInterleaveWeight(st, j);
+            }
+            turn.credit[i] -= total;
+            break;
+        }
+        case 'blocks':
+        case 'chapters':
+            if (turn.run.bookIndex === i) {
+                turn.run.count++;
+            } else {
+                turn.run = { bookIndex: i, count: 1, chapter: '' };
+            }
+            turn.run.chapter = chunk.chapter || '';
+            break;
+        case 'time':
+            turn.time[i] += getScreenHoldMs(chunk, DEFAULT_AUTOPLAY_SETTINGS.wpm);
+            break;
+        case 'shuffle':
+            turn.rng = peekRandom(turn.rng)[1];
+            break;
+    }
+}
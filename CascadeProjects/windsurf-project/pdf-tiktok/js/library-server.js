@@ -0,0 +1,75 @@
+// Home library: books kept by server.js on the machine that serves the app
+// Only available when the app is served by server.js; a static host (Netlify, serve.ps1) has no
+// /api and the library section stays hidden. See handleLibraryApi in server.js for the endpoints.
+
+const LIBRARY_API_URL = 'api/books';
+
+// Changing the library takes the sync token once the server has sync users (see sync.js)
+function getLibraryAuthHeaders() {
+    const { token } = loadSyncState();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Books in the home library ([{ id, bookId, name, type, size, lastModified, uploadedAt, cover }]),
+// or null when there is no library server
+async function fetchServerLibrary() {
+    let response;
+    try {
+        response = await fetch(LIBRARY_API_URL, { cache: 'no-store' });
+    } catch {
+        return null; // offline, or no server
+    }
+    if (!response.ok || !/json/.test(response.headers.get('Content-Type') || '')) return null;
+    const { books } = await response.json();
+    return books;
+}
+
+async function readLibraryError(response) {
+    try {
+        const { error } = await response.json();
+        if (error) return new Error(error);
+    } catch {}
+    return new Error(`Library server answered ${response.status}`);
+}
+
+// Add a File to the home library; resolves to its library entry
+async function uploadBookToServer(file) {
+    const response = await fetch(LIBRARY_API_URL, {
+        method: 'POST',
+        headers: {
+            ...getLibraryAuthHeaders(),
+            'Content-Type': file.type || 'application/octet-stream',
+            'X-File-Name': encodeURIComponent(file.name),
+            'X-File-Last-Modified': String(file.lastModified)
+        },
+        body: file
+    });
+    if (!response.ok) throw await readLibraryError(response);
+    return response.json();
+}
+
+// The book as a File, named and dated like the uploaded one so it gets the same book id
+// (and with it the same reading position and highlights) on every device
+async function downloadServerBook(entry) {
+    const response = await fetch(`${LIBRARY_API_URL}/${entry.id}`);
+    if (!response.ok) throw await readLibraryError(response);
+    const blob = await response.blob();
+    return new File([blob], entry.name, { type: entry.type, lastModified: entry.lastModified });
+}
+
+async function deleteServerBook(id) {
+    const response = await fetch(`${LIBRARY_API_URL}/${id}`, { method: 'DELETE', headers: getLibraryAuthHeaders() });
+    if (!response.ok && response.status !== 404) throw await readLibraryError(response);
+}
+
+// Store a rendered cover (data URL) with a library book
+async function uploadServerBookCover(id, coverDataUrl) {
+    const blob = await (await fetch(coverDataUrl)).blob();
+    const response = await fetch(`${LIBRARY_API_URL}/${id}/cover`, {
+        method: 'PUT',
+        headers: { ...getLibraryAuthHeaders(), 'Content-Type': blob.type },
+        body: blob
+    });
+    if (!response.ok) throw await readLibraryError(response);
+    return response.json();
+}
@@ -0,0 +1,290 @@
+// Library storage backed by IndexedDB
+// localStorage only keeps the small "recent documents" list; the original
+// files, the built books ({ name, cover, blocks }) and reading sessions live here.
+// Books are stored as source blocks and chunked on load with the current chunk settings.
+
+const LIBRARY_DB_NAME = 'readtok-library';
+const LIBRARY_DB_VERSION = 1;
+const FILES_STORE = 'files';       // id -> { id, name, type, size, lastModified, data: Blob }
+const BOOKS_STORE = 'books';       // id -> { id, name, cover, lang, blocks, bytes, savedAt }
+const SESSIONS_STORE = 'sessions'; // id -> { id, name, bookIds, bytes, lastOpened, interleave, bookStatus }
+
+// Soft cap for everything we keep; least recently opened sessions are evicted past it
+const LIBRARY_MAX_BYTES = 400 * 1024 * 1024;
+// Never fill more than this share of the origin quota reported by the browser
+const LIBRARY_QUOTA_SHARE = 0.8;
+
+let libraryDbPromise = null;
+
+// Open (and upgrade if needed) the library database
+function openLibraryDb() {
+    if (libraryDbPromise) return libraryDbPromise;
+    libraryDbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(FILES_STORE)) {
+                db.createObjectStore(FILES_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(BOOKS_STORE)) {
+                db.createObjectStore(BOOKS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+                const sessions = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+                sessions.createIndex('lastOpened', 'lastOpened');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Library database is blocked by another tab'));
+    });
+    // Allow a later retry if opening failed
+    libraryDbPromise.catch(() => { libraryDbPromise = null; });
+    return libraryDbPromise;
+}
+
+// Wrap an IDBRequest in a promise
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run fn(stores) inside a transaction and resolve once it has committed
+async function withLibraryStores(storeNames, mode, fn) {
+    const db = await openLibraryDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const stores = {};
+        storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+        let result;
+        Promise.resolve(fn(stores)).then(r => { result = r; }, err => {
+            try { tx.abort(); } catch {}
+            reject(err);
+        });
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+function isQuotaError(err) {
+    return !!err && (err.name === 'QuotaExceededError' || err.code === 22);
+}
+
+// Stable id for an uploaded file (same identity the recent list already uses)
+function makeBookId(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function makeSessionId(bookIds) {
+    return bookIds.join('|');
+}
+
+// Rough size in bytes of a built book (block text plus data URLs)
+function estimateBookBytes(book) {
+    let bytes = (book.cover || '').length;
+    for (const block of book.blocks || []) {
+        bytes += (block.text || block.content || '').length;
+    }
+    return bytes;
+}
+
+// Stored record of a built book
+function toBookRecord(book, fileSize) {
+    return {
+        id: book.id,
+        name: book.name,
+        cover: book.cover,
+        lang: book.lang || '',
+        blocks: book.blocks,
+        bytes: estimateBookBytes(book) + fileSize,
+        savedAt: new Date().toISOString()
+    };
+}
+
+// Books saved before blocks existed only have chunks; each chunk becomes a block
+function readBookRecordBlocks(record) {
+    if (record.blocks) return record.blocks;
+    return (record.chunks || []).map(chunk => {
+        if (chunk.type === 'image') return { type: 'image', content: chunk.content };
+        const block = { type: 'text', text: chunk.content };
+        if (chunk.chapter) block.chapter = chunk.chapter;
+        return block;
+    });
+}
+
+// Ask the browser not to clear our storage under pressure (best effort)
+async function requestPersistentStorage() {
+    try {
+        if (navigator.storage && navigator.storage.persist) {
+            const persisted = await navigator.storage.persisted();
+            if (!persisted) await navigator.storage.persist();
+        }
+    } catch (e) {
+        console.warn('Persistent storage request failed:', e);
+    }
+}
+
+// Save the files and books of a reading session, evicting old sessions if needed.
+// details: { interleave, bookStatus } kept with the session (see updateLibrarySession)
+async function saveSessionToLibrary(files, books, name, details = {}) {
+    const bookIds = books.map(b => b.id);
+    // Books reopened from the library have no file here; their records are already stored
+    const records = books.map((book, i) => ({ book, file: files[i] })).filter(r => r.file).map(({ book, file }) => ({
+        file: {
+            id: book.id,
+            name: file.name,
+            type: file.type,
+            size: file.size,
+            lastModified: file.lastModified,
+            data: file
+        },
+        // A partially parsed (cancelled) book is rebuilt from its file when reopened
+        book: book.partial ? null : toBookRecord(book, file.size)
+    }));
+    const incomingBytes = records.reduce((sum, r) => sum + (r.book ? r.book.bytes : r.file.size), 0);
+    const session = {
+        id: makeSessionId(bookIds),
+        name,
+        bookIds,
+        bytes: incomingBytes,
+        lastOpened: new Date().toISOString(),
+        interleave: details.interleave,
+        bookStatus: details.bookStatus
+    };
+
+    await ensureLibraryCapacity(incomingBytes, session.id);
+
+    const write = () => withLibraryStores([FILES_STORE, BOOKS_STORE, SESSIONS_STORE], 'readwrite', stores => {
+        for (const r of records) {
+            stores[FILES_STORE].put(r.file);
+            if (r.book) stores[BOOKS_STORE].put(r.book);
+            else stores[BOOKS_STORE].delete(r.file.id);
+        }
+        stores[SESSIONS_STORE].put(session);
+    });
+
+    try {
+        await write();
+    } catch (err) {
+        if (!isQuotaError(err)) throw err;
+        // Free the oldest sessions and try once more
+        const freed = await evictOldestSessions(incomingBytes, session.id);
+        if (!freed) throw err;
+        await write();
+    }
+    return session;
+}
+
+// Make room for incomingBytes under our cap and the browser quota
+async function ensureLibraryCapacity(incomingBytes, keepSessionId) {
+    const used = await getLibraryUsage();
+    let limit = LIBRARY_MAX_BYTES;
+    try {
+        if (navigator.storage && navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            if (quota) {
+                // Other origin data (caches etc.) counts against the quota too
+                limit = Math.min(limit, quota * LIBRARY_QUOTA_SHARE - Math.max(0, (usage || 0) - used));
+            }
+        }
+    } catch {}
+    if (used + incomingBytes <= limit) return;
+    await evictOldestSessions(used + incomingBytes - limit, keepSessionId);
+}
+
+// Total bytes of stored books (files included)
+async function getLibraryUsage() {
+    const books = await withLibraryStores([BOOKS_STORE], 'readonly', stores => idbRequest(stores[BOOKS_STORE].getAll()));
+    return books.reduce((sum, b) => sum + (b.bytes || 0), 0);
+}
+
+// Evict least recently opened sessions until bytesNeeded are freed; returns freed bytes
+async function evictOldestSessions(bytesNeeded, keepSessionId) {
+    const sessions = await listLibrarySessions();
+    sessions.sort((a, b) => String(a.lastOpened).localeCompare(String(b.lastOpened)));
+    let freed = 0;
+    for (const s of sessions) {
+        if (freed >= bytesNeeded) break;
+        if (s.id === keepSessionId) continue;
+        freed += await deleteSessionFromLibrary(s.id);
+        removeFromRecentDocuments(s.id);
+    }
+    return freed;
+}
+
+// Change details of a stored session: { interleave } (the interleaving strategy) or
+// { bookStatus } (bookId -> 'paused' | 'finished')
+async function updateLibrarySession(sessionId, changes) {
+    await withLibraryStores([SESSIONS_STORE], 'readwrite', async stores => {
+        const session = await idbRequest(stores[SESSIONS_STORE].get(sessionId));
+        if (!session) return;
+        Object.assign(session, changes);
+        stores[SESSIONS_STORE].put(session);
+    });
+}
+
+async function listLibrarySessions() {
+    return withLibraryStores([SESSIONS_STORE], 'readonly', stores => idbRequest(stores[SESSIONS_STORE].getAll()));
+}
+
+// Delete a session plus any books/files no other session still uses; returns freed bytes
+async function deleteSessionFromLibrary(sessionId) {
+    const sessions = await listLibrarySessions();
+    const target = sessions.find(s => s.id === sessionId);
+    if (!target) return 0;
+    const stillUsed = new Set();
+    sessions.filter(s => s.id !== sessionId).forEach(s => s.bookIds.forEach(id => stillUsed.add(id)));
+    const orphanIds = target.bookIds.filter(id => !stillUsed.has(id));
+
+    return withLibraryStores([FILES_STORE, BOOKS_STORE, SESSIONS_STORE], 'readwrite', async stores => {
+        let freed = 0;
+        for (const id of orphanIds) {
+            const book = await idbRequest(stores[BOOKS_STORE].get(id));
+            if (book) freed += book.bytes || 0;
+            stores[BOOKS_STORE].delete(id);
+            stores[FILES_STORE].delete(id);
+        }
+        stores[SESSIONS_STORE].delete(sessionId);
+        return freed;
+    });
+}
+
+// Load all books of a session, rebuilding from the stored file when a book record is gone
+async function loadSessionFromLibrary(sessionId) {
+    const session = await withLibraryStores([SESSIONS_STORE], 'readonly', stores => idbRequest(stores[SESSIONS_STORE].get(sessionId)));
+    if (!session) throw new Error('This session is no longer stored on this device');
+
+    const books = [];
+    for (const id of session.bookIds) {
+        const [book, file] = await withLibraryStores([BOOKS_STORE, FILES_STORE], 'readonly', stores => Promise.all([
+            idbRequest(stores[BOOKS_STORE].get(id)),
+            idbRequest(stores[FILES_STORE].get(id))
+        ]));
+        if (book && (book.blocks || book.chunks)) {
+            const restored = { id: book.id, name: book.name, cover: book.cover, lang: book.lang || '', blocks: readBookRecordBlocks(book) };
+            rechunkBook(restored, getChunkSettings(restored.id));
+            books.push(restored);
+        } else if (file && file.data) {
+            const restored = new File([file.data], file.name, { type: file.type, lastModified: file.lastModified });
+            const rebuilt = await buildBookFromFile(restored);
+            await withLibraryStores([BOOKS_STORE], 'readwrite', stores => {
+                stores[BOOKS_STORE].put(toBookRecord(rebuilt, file.size));
+            });
+            books.push(rebuilt);
+        } else {
+            console.warn('Missing stored book:', id);
+        }
+    }
+    if (books.length === 0) throw new Error('None of the books in this session are stored anymore');
+
+    session.lastOpened = new Date().toISOString();
+    await withLibraryStores([SESSIONS_STORE], 'readwrite', stores => { stores[SESSIONS_STORE].put(session); });
+    return { session, books };
+}
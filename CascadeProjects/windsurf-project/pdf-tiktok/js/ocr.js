@@ -0,0 +1,70 @@
+// Local OCR for scanned PDF pages
+// Pages without a text layer are read with Tesseract.js. The engine, its WebAssembly core and
+// the language data are served from vendor/tesseract-5.1.1/ next to the app, so nothing leaves the
+// device and nothing is fetched from the network. The engine is only loaded once a scanned
+// page turns up. `npm install` copies these from the tesseract.js packages:
+//   vendor/tesseract-5.1.1/tesseract.min.js, vendor/tesseract-5.1.1/worker.min.js
+//   vendor/tesseract-5.1.1/core/         tesseract-core*.wasm.js
+//   vendor/tesseract-5.1.1/lang-1.0.0/   eng.traineddata.gz, por.traineddata.gz (@tesseract.js-data)
+// The PDF worker can't run the engine itself: it sends page images here (see ingest.js).
+
+const OCR_BASE_URL = 'vendor/tesseract-5.1.1/';
+const OCR_LANGUAGES = ['eng', 'por'];
+
+let ocrWorkerPromise = null;
+
+// The engine's script, added to the page on first use
+function loadOcrEngine() {
+    if (typeof Tesseract !== 'undefined') return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = `${OCR_BASE_URL}tesseract.min.js`;
+        script.onload = () => resolve();
+        script.onerror = () => {
+            script.remove();
+            reject(new Error(`OCR engine not found in ${OCR_BASE_URL}`));
+        };
+        document.head.appendChild(script);
+    });
+}
+
+// One recognition worker for every book; it runs the pages it is given one at a time
+function getOcrWorker() {
+    if (!ocrWorkerPromise) {
+        ocrWorkerPromise = loadOcrEngine().then(() => Tesseract.createWorker(OCR_LANGUAGES, 1, {
+            workerPath: `${OCR_BASE_URL}worker.min.js`,
+            corePath: `${OCR_BASE_URL}core`,
+            langPath: `${OCR_BASE_URL}lang-1.0.0`,
+            workerBlobURL: false
+        }));
+        // Let a later page try again (the files may have been added meanwhile)
+        ocrWorkerPromise.catch(() => { ocrWorkerPromise = null; });
+    }
+    return ocrWorkerPromise;
+}
+
+// Read a rendered page (canvas or image Blob): { lines: [{ text, bbox: { x0, y0, x1, y1 } }], confidence }
+// with boxes in image pixels and confidence 0-100
+async function recognizePageImage(image) {
+    const worker = await getOcrWorker();
+    const { data } = await worker.recognize(image);
+    return {
+        confidence: Math.round(data.confidence),
+        lines: (data.lines || [])
+            .map(line => ({ text: line.text.replace(/\s+/g, ' ').trim(), bbox: line.bbox }))
+            .filter(line => line.text)
+    };
+}
+
+// 'high' / 'medium' / 'low', for the confidence badge
+function getOcrConfidenceLevel(confidence) {
+    if (confidence >= 85) return 'high';
+    if (confidence >= 70) return 'medium';
+    return 'low';
+}
+
+// Image of a scanned page kept with the text read from it (see extractPdfBlocks)
+function findOcrPageImage(book, page) {
+    const block = book.blocks.find(b => b.type === 'image' && b.ocrSource && b.page === page);
+    return block ? block.content : '';
+}
@@ -0,0 +1,578 @@
+// PDF text extraction shared by the page (fallback) and the ingestion worker
+// Needs pdfjsLib and chunking.js. Everything environment specific comes in through hooks:
+//   documentParams                  extra pdfjsLib.getDocument() parameters
+//   createCanvas(width, height)     a <canvas> or OffscreenCanvas (an OffscreenCanvas if not given)
+//   canvasToDataUrl(canvas, q)      JPEG data URL of a canvas (may be async)
+//   onCover(dataUrl)                cover rendered from the first page
+//   onBlocks(blocks)                source blocks in reading order, a page or so at a time
+//                                   ({ type: 'text', text } or { type: 'image', content })
+//   onProgress(page, numPages)      after every page
+//   isCancelled()                   checked between pages
+//   recognizePage(canvas)           optional OCR of a rendered page: { lines: [{ text, bbox }],
+//                                   confidence } in canvas pixels (see ocr.js)
+// options: { skipFrontMatter, minChapterPage, ocr }
+//
+// Chapters come from the PDF outline (bookmarks) when it has one: its first entry that is not
+// front matter (cover, contents, copyright, ...) is where the body starts, and every text block
+// carries the title of the chapter it belongs to. Without an outline, page labels (roman
+// numbered front matter) or the "Chapter N" heuristics are used instead.
+//
+// Page text goes through a cleanup stage before it becomes blocks: lines repeated in the
+// top/bottom margins of nearby pages (running heads, book titles) and page numbers are
+// dropped, words hyphenated across lines are rejoined, and a sentence cut by a page break
+// is carried over to the next page.
+//
+// With options.ocr, pages without a text layer are read by OCR and their lines go through the
+// same cleanup as any other page. The scanned page image is kept as an { ocrSource: true }
+// image block just before the text read from it (which carries ocr: { page, confidence });
+// chunking skips those images, the reader shows them on request.
+
+// Share of the page height at the top and bottom where running heads and folios live
+const PDF_MARGIN_BAND = 0.1;
+// A margin line is a running head when it also appears within this many pages
+const RUNNING_TEXT_WINDOW = 2;
+// A roman numeral up to 3999 ("xiv"), not just any word spelt with its letters ("mid", "civil")
+const ROMAN_NUMERAL = /^(?=[ivxlcdm]+$)m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/;
+// Text without any sentence end is emitted anyway past this length (tables, verse, lists)
+const PAGE_CARRY_MAX_CHARS = 4000;
+// Scale image pages are rendered at for the reader, and for OCR (about 144 dpi)
+const PAGE_IMAGE_SCALE = 1.25;
+const OCR_RENDER_SCALE = 2;
+// Below this confidence (0-100) a page is more likely a picture than text, and stays an image
+const OCR_MIN_CONFIDENCE = 50;
+// Outline entries that are not part of the body text (English and Portuguese)
+const FRONT_MATTER_TITLES = /^(the )?(cover|capa|title( page)?|half[- ]title|folha de rosto|copyright|cr[eé]ditos|direitos autorais|(table of )?contents|sum[aá]rio|[ií]ndice|dedication|dedicat[oó]ria|epigraph|ep[ií]grafe|also by|other books|about (the )?(author|book)|sobre o autor|list of (figures|tables|illustrations)|lista de|praise for|frontispiece)\b/i;
+
+async function extractPdfBook(data, options, hooks) {
+    hooks = { createCanvas: (width, height) => new OffscreenCanvas(width, height), ...hooks };
+    const loadingTask = pdfjsLib.getDocument({ data, ...(hooks.documentParams || {}) });
+    const pdf = await loadingTask.promise;
+    try {
+        // Extract cover from first page
+        try {
+            const firstPage = await pdf.getPage(1);
+            const v = firstPage.getViewport({ scale: 0.5 });
+            const canvas = hooks.createCanvas(Math.floor(v.width), Math.floor(v.height));
+            await firstPage.render({ canvasContext: canvas.getContext('2d'), viewport: v }).promise;
+            hooks.onCover(await hooks.canvasToDataUrl(canvas, 0.8));
+        } catch (e) {
+            console.warn('Failed to extract cover:', e);
+        }
+
+        await extractPdfBlocks(pdf, options, hooks);
+    } finally {
+        pdf.destroy();
+    }
+}
+
+// Extract the blocks of an open PDF document (the caller chunks them for the screen)
+async function extractPdfBlocks(pdf, options, hooks) {
+    const numPages = pdf.numPages;
+    const compounds = new Set(); // hyphenated words met so far, to tell "well-known" from "inter-esting"
+    const runningText = createRunningTextFilter(compounds);
+    const pageBreaks = createPageBreakJoiner(compounds);
+    const outline = await readPdfOutline(pdf);
+    const bodyStart = outline.find(entry => !FRONT_MATTER_TITLES.test(entry.title)) || null;
+    const labelStartPage = outline.length ? 0 : await findBodyStartFromPageLabels(pdf);
+    let foundChapterStart = !options.skipFrontMatter;
+    const ocrPages = new Map(); // pageNumber -> { confidence, image } of pages read by OCR
+
+    // Turn one cleaned page into blocks
+    const emitPage = async ({ pageNumber, text, startsParagraph }) => {
+        const ocrSource = ocrPages.get(pageNumber);
+        ocrPages.delete(pageNumber);
+        // Chapters opening on this page, at the offset of their title in the text
+        let starts = outline.length
+            ? outline.filter(entry => entry.pageNumber === pageNumber)
+                .map(entry => ({ index: findTitleIndex(text, entry.title), title: entry.title, entry }))
+            : findChapterHeadings(text);
+
+        if (!foundChapterStart) {
+            let cutIndex = -1;
+            if (bodyStart) {
+                // The outline says where the body starts; drop whatever precedes its title
+                const start = starts.find(s => s.entry === bodyStart);
+                if (start) cutIndex = start.index;
+            } else if (labelStartPage) {
+                if (pageNumber >= labelStartPage) cutIndex = 0;
+            } else {
+                // Try to locate the first chapter heading in this page
+                cutIndex = findChapterStartIndex(text, pageNumber, options.minChapterPage);
+            }
+            if (cutIndex < 0) return; // still in front matter, skip this page entirely
+            foundChapterStart = true;
+            text = text.slice(cutIndex); // include from chapter heading onward
+            starts = starts.filter(s => s.index >= cutIndex).map(s => ({ ...s, index: s.index - cutIndex }));
+        }
+
+        const blocks = [];
+        if (text) {
+            // Text before the first chapter opening here continues the current chapter
+            let from = 0;
+            for (const start of starts.sort((a, b) => a.index - b.index)) {
+                if (start.index > from) {
+                    blocks.push(...pageBreaks.push(text.slice(from, start.index).trim(), from === 0 && startsParagraph));
+                }
+                blocks.push(...pageBreaks.startChapter(start.title));
+                from = Math.max(from, start.index);
+            }
+            const rest = text.slice(from).trim();
+            if (rest) blocks.push(...pageBreaks.push(rest, from > 0 || startsParagraph));
+            if (ocrSource) {
+                blocks.forEach(block => {
+                    if (block.type === 'text') block.ocr = { page: pageNumber, confidence: ocrSource.confidence };
+                });
+                blocks.unshift({ type: 'image', content: ocrSource.image, page: pageNumber, ocrSource: true });
+            }
+        } else {
+            // Image page: whatever text was carried over ends before it
+            blocks.push(...pageBreaks.flush());
+            starts.forEach(start => blocks.push(...pageBreaks.startChapter(start.title)));
+            try {
+                const page = await pdf.getPage(pageNumber);
+                const v = page.getViewport({ scale: PAGE_IMAGE_SCALE });
+                const canvas = hooks.createCanvas(Math.floor(v.width), Math.floor(v.height));
+                await page.render({ canvasContext: canvas.getContext('2d'), viewport: v }).promise;
+                const image = { type: 'image', content: await hooks.canvasToDataUrl(canvas, 0.85) };
+                if (pageBreaks.chapter()) image.chapter = pageBreaks.chapter();
+                blocks.push(image);
+                page.cleanup();
+            } catch (err) {
+                console.warn('Page render failed:', err);
+            }
+        }
+        if (blocks.length) hooks.onBlocks(blocks);
+    };
+
+    for (let p = 1; p <= numPages; p++) {
+        if (hooks.isCancelled()) break;
+        let lines = [];
+        let pageBox = null;
+        try {
+            const page = await pdf.getPage(p);
+            pageBox = page.view;
+            try {
+                const textContent = await page.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+                lines = groupTextLines(textContent.items);
+            } catch {}
+            if (!lines.length && options.ocr && hooks.recognizePage) {
+                const recognized = await recognizePdfPage(page, hooks);
+                if (recognized) {
+                    lines = recognized.lines;
+                    ocrPages.set(p, recognized.source);
+                }
+            }
+            page.cleanup();
+        } catch (err) {
+            console.warn('Page parse failed:', err);
+        }
+        // Pages are released once the pages around them have been seen
+        for (const cleaned of runningText.addPage(p, lines, pageBox)) {
+            await emitPage(cleaned);
+        }
+        hooks.onProgress(p, numPages);
+    }
+
+    // Flush the last pages (also after a cancel, so the book keeps everything parsed)
+    for (const cleaned of runningText.finish()) {
+        await emitPage(cleaned);
+    }
+    const rest = pageBreaks.flush();
+    if (rest.length) hooks.onBlocks(rest);
+}
+
+// Read a page without a text layer by OCR: { lines (as groupTextLines gives them), source:
+// { confidence, image } }, or null when nothing readable was found (it is then an image page)
+async function recognizePdfPage(page, hooks) {
+    try {
+        const v = page.getViewport({ scale: OCR_RENDER_SCALE });
+        const canvas = hooks.createCanvas(Math.floor(v.width), Math.floor(v.height));
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport: v }).promise;
+        const result = await hooks.recognizePage(canvas);
+        if (!result || !result.lines.length || result.confidence < OCR_MIN_CONFIDENCE) return null;
+
+        // Pixel boxes (y down from the top) to PDF user space (y up, baseline at the box bottom)
+        const left = Math.min(page.view[0], page.view[2]);
+        const top = Math.max(page.view[1], page.view[3]);
+        const lines = result.lines.map(({ text, bbox }) => ({
+            text,
+            x: left + bbox.x0 / OCR_RENDER_SCALE,
+            endX: left + bbox.x1 / OCR_RENDER_SCALE,
+            y: top - bbox.y1 / OCR_RENDER_SCALE,
+            height: Math.max(1, (bbox.y1 - bbox.y0) / OCR_RENDER_SCALE)
+        }));
+
+        // The page image is kept at the size image pages are shown at
+        const ratio = PAGE_IMAGE_SCALE / OCR_RENDER_SCALE;
+        const image = hooks.createCanvas(Math.floor(canvas.width * ratio), Math.floor(canvas.height * ratio));
+        image.getContext('2d').drawImage(canvas, 0, 0, image.width, image.height);
+        return { lines, source: { confidence: result.confidence, image: await hooks.canvasToDataUrl(image, 0.85) } };
+    } catch (err) {
+        console.warn('Page OCR failed:', err);
+        return null;
+    }
+}
+
+// Group getTextContent items into lines: [{ text, x, endX, y, height }] in content order.
+// y is the baseline in PDF user space (origin at the bottom of the page). A wide horizontal
+// gap starts a new line too, so the two halves of a two-column row stay apart.
+function groupTextLines(items) {
+    const lines = [];
+    let line = null;
+    for (const item of items) {
+        if (!item.transform || typeof item.str !== 'string') continue;
+        const x = item.transform[4];
+        const y = item.transform[5];
+        const height = item.height || Math.hypot(item.transform[2], item.transform[3]) || 10;
+        if (!item.str) {
+            if (item.hasEOL) line = null;
+            continue;
+        }
+        const gap = line ? x - line.endX : 0;
+        if (!line
+            || Math.abs(line.y - y) > Math.max(1, Math.min(line.height, height) * 0.5)
+            || gap > Math.max(line.height, height) * 1.5
+            || gap < -Math.max(line.height, height)) {
+            line = { text: '', x, endX: x, y, height };
+            lines.push(line);
+        }
+        // Items with a visible gap between them are separate words
+        const needsSpace = line.text && x - line.endX > height * 0.15
+            && !/\s$/.test(line.text) && !/^\s/.test(item.str);
+        line.text += (needsSpace ? ' ' : '') + item.str;
+        line.endX = Math.max(line.endX, x + (item.width || 0));
+        line.height = Math.max(line.height, height);
+        if (item.hasEOL) line = null;
+    }
+    return lines
+        .map(l => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() }))
+        .filter(l => l.text);
+}
+
+// Put lines in reading order. On a two-column page (a gutter near the middle that few lines
+// cross) each band between full-width lines is read left column first, then right.
+// Lines come back with column: 0 / 1, or -1 for full-width lines and single-column pages.
+function orderColumns(lines, pageBox) {
+    const single = lines.map(l => ({ ...l, column: -1 }));
+    if (lines.length < 6 || !pageBox) return single;
+    const left = Math.min(pageBox[0], pageBox[2]);
+    const width = Math.abs(pageBox[2] - pageBox[0]);
+
+    let best = null;
+    for (let x = left + width * 0.35; x <= left + width * 0.65; x += width / 60) {
+        const crossing = lines.filter(l => l.x < x && l.endX > x).length;
+        const leftCount = lines.filter(l => l.endX <= x).length;
+        const rightCount = lines.filter(l => l.x >= x).length;
+        if (Math.min(leftCount, rightCount) < Math.max(3, lines.length * 0.2)) continue;
+        if (!best || crossing < best.crossing) best = { x, crossing };
+    }
+    if (!best || best.crossing > lines.length * 0.15) return single;
+
+    const ordered = [];
+    let band = [[], []];
+    const flushBand = () => {
+        ordered.push(...band[0], ...band[1]);
+        band = [[], []];
+    };
+    const byPosition = [...lines].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+    for (const line of byPosition) {
+        if (line.endX <= best.x) band[0].push({ ...line, column: 0 });
+        else if (line.x >= best.x) band[1].push({ ...line, column: 1 });
+        else {
+            flushBand();
+            ordered.push({ ...line, column: -1 });
+        }
+    }
+    flushBand();
+    return ordered;
+}
+
+// Most common value of a list of numbers, rounded to a 2pt grid (a column's text edge)
+function commonEdge(values) {
+    const counts = new Map();
+    let best = 0;
+    let bestCount = 0;
+    for (const v of values) {
+        const key = Math.round(v / 2) * 2;
+        const n = (counts.get(key) || 0) + 1;
+        counts.set(key, n);
+        if (n > bestCount || (n === bestCount && key < best)) {
+            best = key;
+            bestCount = n;
+        }
+    }
+    return best;
+}
+
+// Join ordered lines into paragraphs: a paragraph starts after a larger vertical gap, at a
+// first-line indent or block quote, after a short line that ends a sentence, or at a
+// dialogue dash. Returns { text, startsParagraph } with paragraphs separated by '\n'.
+// compounds: hyphenated words known from the text (see joinTextFragments).
+function buildParagraphs(lines, compounds) {
+    if (!lines.length) return { text: '', startsParagraph: false };
+
+    // Body text edges per column
+    const edges = {};
+    for (const column of new Set(lines.map(l => l.column))) {
+        const inColumn = lines.filter(l => l.column === column);
+        const ends = inColumn.map(l => l.endX).sort((a, b) => a - b);
+        edges[column] = { left: commonEdge(inColumn.map(l => l.x)), right: ends[Math.floor(ends.length * 0.9)] };
+    }
+    // Usual distance between consecutive lines
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+        const gap = lines[i - 1].y - lines[i].y;
+        if (lines[i].column === lines[i - 1].column && gap > 0 && gap < lines[i].height * 3) gaps.push(gap);
+    }
+    gaps.sort((a, b) => a - b);
+    const lineGap = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+    const twoColumns = lines.some(l => l.column !== -1);
+    const indentOf = line => line.x - edges[line.column].left;
+    const startsNew = (prev, line, prevIsFirst) => {
+        const h = Math.min(prev.height, line.height);
+        // Full-width lines (titles, figures) on a two-column page stand apart from the columns
+        if (twoColumns && (prev.column === -1) !== (line.column === -1)) return true;
+        const sameColumn = prev.column === line.column;
+        const gap = prev.y - line.y;
+        if (sameColumn && lineGap && gap > lineGap * 1.5) return true;
+        const indented = indentOf(line) > h * 0.8;
+        const prevIndented = indentOf(prev) > h * 0.8;
+        if (indented && (!sameColumn || !prevIndented)) return true;
+        if (sameColumn && !indented && prevIndented && !prevIsFirst) return true; // block quote ended
+        const endsSentence = /[.?!:…"”’)]$/.test(prev.text);
+        if (endsSentence && prev.endX < edges[prev.column].right - h * 2) return true;
+        if (endsSentence && /^[—–-]\s?\S/.test(line.text)) return true;
+        return false;
+    };
+
+    const paragraphs = [[lines[0].text]];
+    let firstOfParagraph = true;
+    for (let i = 1; i < lines.length; i++) {
+        if (startsNew(lines[i - 1], lines[i], firstOfParagraph)) {
+            paragraphs.push([lines[i].text]);
+            firstOfParagraph = true;
+        } else {
+            paragraphs[paragraphs.length - 1].push(lines[i].text);
+            firstOfParagraph = false;
+        }
+    }
+    const first = lines[0];
+    return {
+        text: paragraphs.map(paragraph => joinTextLines(paragraph, compounds)).join('\n'),
+        startsParagraph: indentOf(first) > first.height * 0.8
+    };
+}
+
+// Comparable form of a margin line: case and numbers ignored, so "Chapter 3 · 41" matches "Chapter 3 · 43"
+function marginSignature(text) {
+    return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+// "12", "- 12 -", "Page 12", "12 of 300", "xiv", "XIV"
+function isPageNumberLine(text) {
+    const bare = text.replace(/[^\p{L}\d\s/]/gu, ' ').replace(/\s+/g, ' ').trim();
+    const m = /^(?:page |p )?(\d+|[ivxlcdm]+)(?: (?:of|\/) \d+| ?\/ ?\d+)?$/i.exec(bare);
+    if (!m) return false;
+    const folio = m[1];
+    if (/^\d/.test(folio)) return true;
+    // Roman folios are set in one case; a lone "I" is the pronoun
+    if (folio === 'I' || (folio !== folio.toLowerCase() && folio !== folio.toUpperCase())) return false;
+    return ROMAN_NUMERAL.test(folio.toLowerCase());
+}
+
+// Drops running heads, footers and page numbers. Pages go in with their lines and come back
+// out laid out in paragraphs ({ pageNumber, text, startsParagraph }) RUNNING_TEXT_WINDOW
+// pages later, once their neighbours are known. The hyphenated words of every page added go
+// into compounds, so a page is joined knowing those of the pages after it too.
+function createRunningTextFilter(compounds = new Set(), windowSize = RUNNING_TEXT_WINDOW) {
+    const pages = [];  // recent pages: { pageNumber, pageBox, lines, margins: Set of signatures }
+    let released = 0;  // index in pages of the next page to release
+
+    const clean = (index) => {
+        const page = pages[index];
+        const neighbours = pages.filter((p, i) => i !== index && Math.abs(i - index) <= windowSize);
+        const kept = page.lines.filter(line => {
+            if (!line.margin) return true;
+            if (isPageNumberLine(line.text)) return false;
+            return !neighbours.some(n => n.margins.has(line.signature));
+        });
+        const { text, startsParagraph } = buildParagraphs(orderColumns(kept, page.pageBox), compounds);
+        return { pageNumber: page.pageNumber, text, startsParagraph };
+    };
+
+    const release = (upTo) => {
+        const out = [];
+        while (released < upTo) out.push(clean(released++));
+        // Keep only what the pages still to be released can look back at
+        const drop = Math.max(0, released - windowSize);
+        pages.splice(0, drop);
+        released -= drop;
+        return out;
+    };
+
+    return {
+        addPage(pageNumber, lines, pageBox) {
+            const bottom = pageBox ? Math.min(pageBox[1], pageBox[3]) : 0;
+            const top = pageBox ? Math.max(pageBox[1], pageBox[3]) : 0;
+            const band = (top - bottom) * PDF_MARGIN_BAND;
+            const margins = new Set();
+            const marked = lines.map(line => {
+                const margin = top > bottom && (line.y >= top - band || line.y <= bottom + band);
+                const signature = marginSignature(line.text);
+                if (margin) margins.add(signature);
+                else collectCompounds(line.text, compounds);
+                return { ...line, margin, signature };
+            });
+            pages.push({ pageNumber, pageBox, lines: marked, margins });
+            return release(pages.length - windowSize);
+        },
+        finish() {
+            return release(pages.length);
+        }
+    };
+}
+
+// Add the hyphenated words of a piece of text ("well-known", lowercased) to a Set
+function collectCompounds(text, compounds) {
+    for (const [word] of text.matchAll(/\p{L}+(?:-\p{L}+)+/gu)) compounds.add(word.toLowerCase());
+}
+
+// Join two pieces of running text, rejoining a word hyphenated across the break. compounds
+// (optional) holds the hyphenated words seen elsewhere in the text: those keep their hyphen.
+function joinTextFragments(before, after, compounds) {
+    if (!before) return after;
+    if (!after) return before;
+    if (/\p{L}[-\u00AD]$/u.test(before)) {
+        // "inter-" + "esting" -> "interesting"; "Jean-" + "Paul" and "well-" + "known" keep their hyphen
+        if (!/^\p{Ll}/u.test(after)) return before + after;
+        const compound = (before.match(/[\p{L}-]*$/u)[0] + after.match(/^\p{L}*/u)[0]).toLowerCase();
+        return compounds && compounds.has(compound) ? before + after : before.slice(0, -1) + after;
+    }
+    return before + ' ' + after;
+}
+
+function joinTextLines(lines, compounds) {
+    return lines.reduce((text, line) => joinTextFragments(text, line, compounds), '').replace(/\u00AD/g, '');
+}
+
+// Carries the unfinished sentence at the end of a page over to the next one, so a sentence
+// is never split by a page break. push(text, startsParagraph), startChapter(title) and flush()
+// return text blocks ready to emit, tagged with the current chapter title. compounds is passed
+// on to joinTextFragments.
+function createPageBreakJoiner(compounds) {
+    let carry = '';
+    let lang = '';
+    let chapter = '';
+
+    const textBlock = (text) => {
+        const block = { type: 'text', text };
+        if (chapter) block.chapter = chapter;
+        return block;
+    };
+
+    // Index just after the last sentence or paragraph end in text (0 when there is none)
+    const lastSentenceEnd = (text) => {
+        const ends = /[.?!…]+["'”’»)\]]*(?=\s|$)|\n/g;
+        let cut = 0;
+        let m;
+        while ((m = ends.exec(text)) !== null) {
+            const end = m.index + m[0].length;
+            if (m[0] === '\n') cut = m.index;
+            else if (!endsWithAbbreviation(text.slice(0, end), lang)) cut = end;
+        }
+        return cut;
+    };
+
+    return {
+        push(text, startsParagraph = false) {
+            if (!lang) lang = detectLanguage(text);
+            // A page that opens with an indented line starts a new paragraph
+            const combined = carry && startsParagraph ? `${carry}\n${text}` : joinTextFragments(carry, text, compounds);
+            const cut = combined.length > PAGE_CARRY_MAX_CHARS ? combined.length : lastSentenceEnd(combined);
+            carry = combined.slice(cut).trim();
+            const done = combined.slice(0, cut).trim();
+            return done ? [textBlock(done)] : [];
+        },
+        chapter() {
+            return chapter;
+        },
+        // A chapter boundary also ends the text carried over so far
+        startChapter(title) {
+            const rest = this.flush();
+            chapter = title;
+            return rest;
+        },
+        flush() {
+            const rest = carry;
+            carry = '';
+            return rest ? [textBlock(rest)] : [];
+        }
+    };
+}
+
+// Chapters from the document outline: [{ title, pageNumber }] in page order, or [] when the
+// PDF has none. Top-level entries and their children are used (parts and their chapters); a
+// single top-level entry wrapping everything is skipped.
+async function readPdfOutline(pdf) {
+    let items;
+    try {
+        items = await pdf.getOutline();
+    } catch {
+        return [];
+    }
+    if (!items || !items.length) return [];
+    if (items.length === 1 && items[0].items && items[0].items.length) items = items[0].items;
+
+    const entries = [];
+    const add = async (item) => {
+        const title = String(item.title || '').replace(/\s+/g, ' ').trim();
+        const pageNumber = await resolveOutlinePage(pdf, item.dest);
+        if (title && pageNumber) entries.push({ title, pageNumber });
+    };
+    for (const item of items) {
+        await add(item);
+        for (const child of item.items || []) await add(child);
+    }
+    // Stable sort keeps a part before the first chapter on the same page
+    return entries.sort((a, b) => a.pageNumber - b.pageNumber);
+}
+
+// 1-based page number an outline destination points at (0 if it can't be resolved)
+async function resolveOutlinePage(pdf, dest) {
+    try {
+        const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+        if (!Array.isArray(explicit) || !explicit.length) return 0;
+        const ref = explicit[0];
+        if (typeof ref === 'number') return ref + 1;
+        return ref ? (await pdf.getPageIndex(ref)) + 1 : 0;
+    } catch {
+        return 0;
+    }
+}
+
+// When front matter is numbered i, ii, iii... the body starts at the page labelled "1"
+async function findBodyStartFromPageLabels(pdf) {
+    let labels;
+    try {
+        labels = await pdf.getPageLabels();
+    } catch {
+        return 0;
+    }
+    if (!labels || !labels.length || /^\d+$/.test(labels[0])) return 0;
+    const index = labels.indexOf('1');
+    return index > 0 ? index + 1 : 0;
+}
+
+// Offset of a chapter title in page text (any case and spacing), 0 when it isn't printed there.
+// "Chapter 1: Beginnings" is also looked up as "Chapter 1".
+function findTitleIndex(text, title) {
+    const candidates = [title, title.split(/\s*[:—–.]\s+/)[0]];
+    for (const candidate of candidates) {
+        const words = candidate.split(/\s+/).filter(Boolean).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (!words.length) continue;
+        const m = new RegExp(words.join('\\s+'), 'i').exec(text);
+        if (m) return m.index;
+    }
+    return 0;
+}
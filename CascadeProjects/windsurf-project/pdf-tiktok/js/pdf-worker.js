@@ -0,0 +1,109 @@
+// Web Worker that parses one PDF off the main thread and streams its blocks back
+// Messages in:  { type: 'ingest', data: ArrayBuffer, options } | { type: 'ocr-result', id, result }
+// Messages out: { type: 'cover' | 'blocks' | 'progress' | 'ocr' | 'done' | 'error', ... }
+
+// Relative to this script (js/); the CDN copy of the same version when vendor/ is not installed
+const PDFJS_BASE_URLS = ['../vendor/pdfjs-3.11.174/', 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/'];
+
+// Loading pdf.worker here lets pdf.js run its parser in this thread instead of spawning another worker
+function importPdfJs() {
+    for (const baseUrl of PDFJS_BASE_URLS) {
+        try {
+            importScripts(`${baseUrl}pdf.min.js`, `${baseUrl}pdf.worker.min.js`);
+            pdfjsLib.GlobalWorkerOptions.workerSrc = `${baseUrl}pdf.worker.min.js`;
+            return;
+        } catch (err) {
+            console.warn(`pdf.js not available from ${baseUrl}:`, err);
+        }
+    }
+    throw new Error('PDF.js could not be loaded');
+}
+
+importPdfJs();
+importScripts('chunking.js', 'pdf-extract.js');
+
+// pdf.js creates scratch canvases (downscaled and inline images) through this factory; the
+// default one calls document.createElement, and there is no document in a worker
+class OffscreenCanvasFactory {
+    create(width, height) {
+        const canvas = new OffscreenCanvas(width, height);
+        return { canvas, context: canvas.getContext('2d') };
+    }
+
+    reset(canvasAndContext, width, height) {
+        canvasAndContext.canvas.width = width;
+        canvasAndContext.canvas.height = height;
+    }
+
+    destroy(canvasAndContext) {
+        canvasAndContext.canvas.width = 0;
+        canvasAndContext.canvas.height = 0;
+        canvasAndContext.canvas = null;
+        canvasAndContext.context = null;
+    }
+}
+
+// The default filter factory builds SVG filters in the document; without one, none are applied
+class NoFilterFactory {
+    addFilter() {
+        return 'none';
+    }
+
+    addHCMFilter() {
+        return 'none';
+    }
+
+    addHighlightHCMFilter() {
+        return 'none';
+    }
+
+    destroy() {}
+}
+
+// The OCR engine runs on the page: scanned pages go there as images and their text comes back
+const ocrRequests = new Map(); // id -> resolve
+let ocrRequestId = 0;
+
+async function recognizeOnPage(canvas) {
+    const image = await canvas.convertToBlob({ type: 'image/png' });
+    return new Promise(resolve => {
+        const id = ++ocrRequestId;
+        ocrRequests.set(id, resolve);
+        self.postMessage({ type: 'ocr', id, image });
+    });
+}
+
+self.onmessage = async (e) => {
+    const msg = e.data;
+    if (msg && msg.type === 'ocr-result') {
+        const resolve = ocrRequests.get(msg.id);
+        ocrRequests.delete(msg.id);
+        if (resolve) resolve(msg.result);
+        return;
+    }
+    if (!msg || msg.type !== 'ingest') return;
+    try {
+        await extractPdfBook(msg.data, msg.options, {
+            // Without a document, fonts can't be installed; glyphs are drawn as paths instead.
+            // pdf.js takes factory instances here, not classes.
+            documentParams: {
+                disableFontFace: true,
+                canvasFactory: new OffscreenCanvasFactory(),
+                filterFactory: new NoFilterFactory()
+            },
+            canvasToDataUrl: async (canvas, quality) => {
+                const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+                return new FileReaderSync().readAsDataURL(blob);
+            },
+            onCover: cover => self.postMessage({ type: 'cover', cover }),
+            onBlocks: blocks => self.postMessage({ type: 'blocks', blocks }),
+            onProgress: (page, numPages) => self.postMessage({ type: 'progress', page, numPages }),
+            recognizePage: recognizeOnPage,
+            // Cancelling terminates the worker
+            isCancelled: () => false
+        });
+        self.postMessage({ type: 'done' });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: (err && err.message) || String(err) });
+    }
+};
@@ -0,0 +1,42 @@
+// Installable app: service worker registration, and books opened from the system
+// Files reach an installed ReadTok in two ways: shared to it (Web Share Target, received by
+// sw.js and waiting in a cache until the page starts) or opened with it (File Handling API,
+// through launchQueue).
+
+const SHARED_FILES_CACHE = 'readtok-shared-files';
+const SHARE_TARGET_PARAM = 'share-target';
+
+function registerServiceWorker() {
+    // Service workers need http(s); opened from file:// the app just runs online
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+    navigator.serviceWorker.register('sw.js').catch(err => console.warn('Service worker registration failed:', err));
+}
+
+// Files shared to the app, when it was started by a share (emptied once read)
+async function takeSharedFiles() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has(SHARE_TARGET_PARAM) || typeof caches === 'undefined') return [];
+    params.delete(SHARE_TARGET_PARAM);
+    const query = params.toString();
+    history.replaceState(null, '', location.pathname + (query ? `?${query}` : '') + location.hash);
+
+    const cache = await caches.open(SHARED_FILES_CACHE);
+    const files = [];
+    for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        const name = decodeURIComponent(response.headers.get('X-File-Name') || 'Shared file');
+        files.push(new File([await response.blob()], name, { type: response.headers.get('Content-Type') || '' }));
+        await cache.delete(request);
+    }
+    return files;
+}
+
+// Call onFiles(files) for files the app is launched with ("Open with" ReadTok)
+function handleLaunchedFiles(onFiles) {
+    if (!('launchQueue' in window)) return;
+    window.launchQueue.setConsumer(async (params) => {
+        if (!params.files || !params.files.length) return;
+        const files = await Promise.all(params.files.map(handle => handle.getFile()));
+        onFiles(files);
+    });
+}
@@ -0,0 +1,43 @@
+// Read-aloud helpers (speechSynthesis)
+// A screen is spoken one sentence per utterance, which makes the spoken sentence easy to
+// highlight and pausing reliable (cancel, then resume at the sentence). Voices are picked per
+// book language.
+
+const DEFAULT_READ_ALOUD_SETTINGS = { rate: 1, voices: {} }; // voices: language -> voice name
+const READ_ALOUD_LANGUAGES = { en: 'English', pt: 'Portuguese' };
+// Said for screens that only hold a page image
+const IMAGE_SCREEN_ANNOUNCEMENTS = { en: 'Image page.', pt: 'Página de imagem.' };
+
+function isSpeechSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+}
+
+// Installed voices for a language ('en', 'pt')
+function getSpeechVoices(lang) {
+    if (!isSpeechSupported()) return [];
+    return speechSynthesis.getVoices().filter(v => normalizeLanguage(v.lang) === lang);
+}
+
+// The voice named preferredName when it speaks lang, else the default (or first) voice for lang;
+// null lets the browser pick from the utterance language
+function pickSpeechVoice(lang, preferredName) {
+    const voices = getSpeechVoices(lang);
+    return voices.find(v => v.name === preferredName)
+        || voices.find(v => v.default)
+        || voices[0]
+        || null;
+}
+
+// Language to read a chunk in: the book's, else guessed from the text
+function getSpeechLanguage(book, chunk) {
+    const lang = normalizeLanguage(book.lang);
+    if (READ_ALOUD_LANGUAGES[lang]) return lang;
+    return chunk.type === 'text' ? detectLanguage(chunk.content) : 'en';
+}
+
+// Sentences of a text chunk with their offsets in it: [{ text, start, end }]
+function getSpeechSentences(text, lang) {
+    return segmentSentenceSpans(text, lang)
+        .filter(s => /[\p{L}\p{N}]/u.test(s.text))
+        .map(s => ({ text: s.text, start: s.start, end: s.start + s.text.length }));
+}
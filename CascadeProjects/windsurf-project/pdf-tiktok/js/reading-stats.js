@@ -0,0 +1,219 @@
+// Reading statistics
+// Every screen the reader settles on is logged with how long it stayed in view. Totals are
+// kept per day and book, so the raw log can be capped without losing reading time, words,
+// pace or streaks. Screens flicked past faster than anyone reads don't count as words read.
+
+const READING_STATS_KEY = 'readingStats';
+const READING_STATS_MAX_VIEWS = 5000;  // raw views kept for export
+const READING_STATS_MIN_SECONDS = 1;   // shorter views are scrolling past, not reading
+const READING_STATS_MAX_SECONDS = 180; // longer views are cut here (the reader walked away)
+const READING_STATS_SKIM_WPM = 900;    // faster than this the screen was skimmed
+const READING_STATS_STREAK_SECONDS = 60; // reading time that makes a day count for a streak
+const READING_STATS_PACE_WORDS = 300;  // words a book needs before it has a pace of its own
+const READING_STATS_RECENT_DAYS = 14;
+
+// stats: {
+//   views: [{ bookId, offset, startedAt, seconds, words }],
+//   days: { 'YYYY-MM-DD': { bookId: { seconds, words, readSeconds, screens } } },
+//   books: { bookId: { name, totalWords, wordsBefore, complete, lastRead } }
+// }
+// words are the words counted as read; readSeconds the time spent on those screens (for pace)
+
+function loadReadingStats() {
+    try {
+        const stats = JSON.parse(localStorage.getItem(READING_STATS_KEY) || '{}');
+        return { views: stats.views || [], days: stats.days || {}, books: stats.books || {} };
+    } catch {
+        return { views: [], days: {}, books: {} };
+    }
+}
+
+function saveReadingStats(stats) {
+    localStorage.setItem(READING_STATS_KEY, JSON.stringify(stats));
+}
+
+// Local calendar day of a date, as 'YYYY-MM-DD'
+function getLocalDateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function shiftDateKey(key, days) {
+    const [y, m, d] = key.split('-').map(Number);
+    return getLocalDateKey(new Date(y, m - 1, d + days));
+}
+
+// Word counts of a book's chunks, cached until it is re-chunked or more chunks are parsed:
+// prefix[i] is the number of words before chunk i
+const bookWordIndex = new WeakMap();
+
+function getBookWordIndex(book) {
+    const cached = bookWordIndex.get(book);
+    if (cached && cached.chunks === book.chunks && cached.count === book.chunks.length) return cached;
+    const prefix = [0];
+    for (const chunk of book.chunks) {
+        prefix.push(prefix[prefix.length - 1] + (chunk.type === 'text' ? countWords(chunk.content) : 0));
+    }
+    const index = { chunks: book.chunks, count: book.chunks.length, prefix };
+    bookWordIndex.set(book, index);
+    return index;
+}
+
+// Log one screen view. view: { book, chunkIndex, startedAt (ms), seconds }
+function recordScreenView(view) {
+    const { book, chunkIndex } = view;
+    const chunk = book.chunks[chunkIndex];
+    if (!chunk || !book.id || view.seconds < READING_STATS_MIN_SECONDS) return;
+    const seconds = Math.round(Math.min(READING_STATS_MAX_SECONDS, view.seconds));
+    const { prefix } = getBookWordIndex(book);
+    const screenWords = prefix[chunkIndex + 1] - prefix[chunkIndex];
+    // Page images have no words to pace
+    const read = screenWords > 0 && screenWords / (seconds / 60) <= READING_STATS_SKIM_WPM;
+    const words = read ? screenWords : 0;
+
+    const stats = loadReadingStats();
+    stats.views.push({ bookId: book.id, offset: chunk.offset || 0, startedAt: new Date(view.startedAt).toISOString(), seconds, words });
+    if (stats.views.length > READING_STATS_MAX_VIEWS) stats.views.splice(0, stats.views.length - READING_STATS_MAX_VIEWS);
+
+    const date = getLocalDateKey(new Date(view.startedAt));
+    const day = stats.days[date] || (stats.days[date] = {});
+    const total = day[book.id] || (day[book.id] = { seconds: 0, words: 0, readSeconds: 0, screens: 0 });
+    total.seconds += seconds;
+    total.words += words;
+    if (read) total.readSeconds += seconds;
+    total.screens += 1;
+
+    stats.books[book.id] = {
+        name: book.name,
+        totalWords: prefix[prefix.length - 1],
+        wordsBefore: prefix[chunkIndex],
+        complete: !book.loading,
+        lastRead: new Date().toISOString()
+    };
+    saveReadingStats(stats);
+}
+
+// Words per minute from a total, or 0 without enough reading to tell
+function getReadingPace(total, minWords = 1) {
+    return total.words >= minWords && total.readSeconds > 0 ? Math.round(total.words / (total.readSeconds / 60)) : 0;
+}
+
+// Current streak (days in a row up to today, or up to yesterday while today is still open)
+// and the longest one, from the days that reached READING_STATS_STREAK_SECONDS
+function getReadingStreaks(dailySeconds, today) {
+    const read = new Set(Object.keys(dailySeconds).filter(key => dailySeconds[key] >= READING_STATS_STREAK_SECONDS));
+    let current = 0;
+    let key = read.has(today) ? today : shiftDateKey(today, -1);
+    while (read.has(key)) {
+        current++;
+        key = shiftDateKey(key, -1);
+    }
+    let longest = 0;
+    for (const start of read) {
+        if (read.has(shiftDateKey(start, -1))) continue; // not the first day of a run
+        let length = 0;
+        for (let k = start; read.has(k); k = shiftDateKey(k, 1)) length++;
+        longest = Math.max(longest, length);
+    }
+    return { current, longest, readToday: read.has(today) };
+}
+
+// Everything the stats screen shows:
+// { seconds, words, wpm, streak, days: [{ date, seconds, words }], books: [...] } (books most recent first)
+function getReadingSummary(stats, now = new Date()) {
+    const totals = { seconds: 0, words: 0, readSeconds: 0 };
+    const books = {};
+    const dailySeconds = {};
+    for (const [date, day] of Object.entries(stats.days)) {
+        for (const [bookId, t] of Object.entries(day)) {
+            const book = books[bookId] || (books[bookId] = { seconds: 0, words: 0, readSeconds: 0, screens: 0 });
+            for (const field of ['seconds', 'words', 'readSeconds']) {
+                book[field] += t[field];
+                totals[field] += t[field];
+            }
+            book.screens += t.screens;
+            dailySeconds[date] = (dailySeconds[date] || 0) + t.seconds;
+        }
+    }
+    const wpm = getReadingPace(totals);
+    const today = getLocalDateKey(now);
+
+    const days = [];
+    for (let i = READING_STATS_RECENT_DAYS - 1; i >= 0; i--) {
+        const date = shiftDateKey(today, -i);
+        const day = stats.days[date] || {};
+        days.push({
+            date,
+            seconds: dailySeconds[date] || 0,
+            words: Object.values(day).reduce((sum, t) => sum + t.words, 0)
+        });
+    }
+
+    return {
+        seconds: totals.seconds,
+        words: totals.words,
+        wpm,
+        streak: getReadingStreaks(dailySeconds, today),
+        days,
+        books: Object.entries(books).map(([id, t]) => {
+            const info = stats.books[id] || {};
+            // A book's own pace once it has enough reading, else the overall one
+            const bookWpm = getReadingPace(t, READING_STATS_PACE_WORDS);
+            const pace = bookWpm || wpm;
+            const wordsLeft = Math.max(0, (info.totalWords || 0) - (info.wordsBefore || 0));
+            return {
+                id,
+                name: info.name || id,
+                seconds: t.seconds,
+                words: t.words,
+                screens: t.screens,
+                wpm: bookWpm,
+                progress: info.totalWords ? info.wordsBefore / info.totalWords : 0,
+                complete: !!info.complete,
+                secondsLeft: pace && info.totalWords ? Math.round((wordsLeft / pace) * 60) : null,
+                lastRead: info.lastRead || ''
+            };
+        }).sort((a, b) => b.lastRead.localeCompare(a.lastRead))
+    };
+}
+
+// "2h 05m", "12m", "40s"
+function formatReadingTime(seconds) {
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    const minutes = Math.round(s / 60);
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function readingStatsToJson(stats) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), summary: getReadingSummary(stats), ...stats }, null, 2);
+}
+
+// One row per logged screen view
+function readingStatsToCsv(stats) {
+    const cell = value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = [['date', 'started_at', 'book_id', 'book', 'offset', 'seconds', 'words']];
+    for (const v of stats.views) {
+        const book = stats.books[v.bookId];
+        rows.push([getLocalDateKey(new Date(v.startedAt)), v.startedAt, v.bookId, book ? book.name : '', v.offset, v.seconds, v.words]);
+    }
+    return rows.map(row => row.map(cell).join(',')).join('\n') + '\n';
+}
+
+// Export the reading log as 'json' or 'csv'
+function exportReadingStats(format) {
+    const stats = loadReadingStats();
+    if (!stats.views.length && !Object.keys(stats.days).length) {
+        alert('No reading recorded yet.');
+        return;
+    }
+    if (format === 'csv') {
+        downloadTextFile('readtok-reading-stats.csv', readingStatsToCsv(stats), 'text/csv');
+    } else {
+        downloadTextFile('readtok-reading-stats.json', readingStatsToJson(stats), 'application/json');
+    }
+}
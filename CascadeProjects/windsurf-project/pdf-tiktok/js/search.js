@@ -0,0 +1,77 @@
+// Full-text search over the chunks of the open books
+// Matching ignores case and accents ("coracao" finds "coração"). Result offsets point into the
+// original chunk text, so the match can be highlighted on its screen.
+
+const SEARCH_MIN_CHARS = 2;
+const SEARCH_MAX_RESULTS = 500;
+const SEARCH_SNIPPET_CHARS = 60;
+
+// chunk -> folded content, built on first search and kept while the chunk lives
+const foldedChunkText = new WeakMap();
+
+// Lowercase text without diacritics and with every whitespace as a plain space. Returns
+// { text, map } where map[i] is the offset in the original text of folded character i
+// (map[text.length] is the original length).
+function foldForSearch(text) {
+    let folded = '';
+    const map = [];
+    let offset = 0;
+    for (const ch of text) {
+        const f = ch.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/\s/g, ' ');
+        for (let k = 0; k < f.length; k++) map.push(offset);
+        folded += f;
+        offset += ch.length;
+    }
+    map.push(offset);
+    return { text: folded, map };
+}
+
+function getFoldedChunkText(chunk) {
+    let folded = foldedChunkText.get(chunk);
+    if (folded === undefined) {
+        folded = foldForSearch(chunk.content).text;
+        foldedChunkText.set(chunk, folded);
+    }
+    return folded;
+}
+
+// Every match of query in the text chunks of books:
+// [{ bookIndex, chunkIndex, start, end }] in book order, at most SEARCH_MAX_RESULTS
+function searchBooks(books, query) {
+    const needle = foldForSearch(String(query || '').trim().replace(/\s+/g, ' ')).text;
+    const results = [];
+    if (needle.length < SEARCH_MIN_CHARS) return results;
+
+    for (let bookIndex = 0; bookIndex < books.length; bookIndex++) {
+        const chunks = books[bookIndex].chunks;
+        for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+            const chunk = chunks[chunkIndex];
+            if (chunk.type !== 'text') continue;
+            const haystack = getFoldedChunkText(chunk);
+            let at = haystack.indexOf(needle);
+            if (at < 0) continue;
+            // Offsets back into the original text only for chunks that match
+            const { map } = foldForSearch(chunk.content);
+            while (at >= 0) {
+                results.push({ bookIndex, chunkIndex, start: map[at], end: map[at + needle.length] });
+                if (results.length >= SEARCH_MAX_RESULTS) return results;
+                at = haystack.indexOf(needle, at + needle.length);
+            }
+        }
+    }
+    return results;
+}
+
+// Text around a match: { before, match, after }, cut at word boundaries with ellipses
+function makeSearchSnippet(text, start, end) {
+    let from = Math.max(0, start - SEARCH_SNIPPET_CHARS);
+    let to = Math.min(text.length, end + SEARCH_SNIPPET_CHARS);
+    if (from > 0) from = text.indexOf(' ', from) + 1 || from;
+    if (to < text.length) to = text.lastIndexOf(' ', to) > end ? text.lastIndexOf(' ', to) : to;
+    const flat = s => s.replace(/\s+/g, ' ');
+    return {
+        before: (from > 0 ? '…' : '') + flat(text.slice(from, start)),
+        match: flat(text.slice(start, end)),
+        after: flat(text.slice(end, to)) + (to < text.length ? '…' : '')
+    };
+}
@@ -0,0 +1,226 @@
+// Reading sync through the home server
+// Reading positions, settings, highlights and bookmarks are pushed to server.js and the changes
+// made on the user's other devices pulled back. Changes wait in a queue kept in localStorage, so
+// nothing is lost offline: the queue goes out in batches a few seconds after the last change,
+// when the connection comes back and when the app is hidden. The server settles conflicts per
+// record (the change made last wins, deletions included); see mergeSyncRecords in server.js.
+
+const SYNC_STATE_KEY = 'syncState';
+const SYNC_API_URL = 'api/sync';
+const SYNC_PUSH_DELAY_MS = 5000;
+const SYNC_RETRY_MS = 60 * 1000;
+const SYNC_BATCH_SIZE = 200;
+const SYNC_MAX_ROUNDS = 20;          // batches per sync; what is left waits for the next one
+const SYNC_KEEPALIVE_BYTES = 60000;  // browsers cap keepalive request bodies at 64 KB
+const SYNC_EPOCH = new Date(0).toISOString();
+
+// state: { token, rev, queue: { key: record }, lastSync, error }
+// record: { key, kind, bookId, value, deleted, updatedAt }
+//   kind 'position' (value: saved book position), 'settings' (the saved settings),
+//   'highlight' ({ name, highlight }) or 'bookmark' ({ name, bookmark })
+
+let syncTimer = null;
+let syncInFlight = null;
+let syncHandlers = { onApply: () => {}, onStatus: () => {} };
+
+function loadSyncState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(SYNC_STATE_KEY) || '{}');
+        return { token: state.token || '', rev: state.rev || 0, queue: state.queue || {}, lastSync: state.lastSync || '', error: state.error || '' };
+    } catch {
+        return { token: '', rev: 0, queue: {}, lastSync: '', error: '' };
+    }
+}
+
+function saveSyncState(state) {
+    localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+    syncHandlers.onStatus(state);
+}
+
+function getSyncKey(kind, bookId, itemId) {
+    return JSON.stringify([kind, bookId || '', itemId || '']);
+}
+
+// Queue a change for the server; value null records a deletion. Nothing is queued while sync is
+// off: turning it on sends everything stored on the device (see setSyncToken).
+function queueSyncChange(kind, bookId, itemId, value, updatedAt = new Date().toISOString()) {
+    const state = loadSyncState();
+    if (!state.token) return;
+    const key = getSyncKey(kind, bookId, itemId);
+    state.queue[key] = { key, kind, bookId: bookId || '', value, deleted: value === null, updatedAt };
+    saveSyncState(state);
+    scheduleSync(SYNC_PUSH_DELAY_MS);
+}
+
+// Voices are installed per device, so they stay out of the synced settings
+function toSyncedSettings(settings) {
+    const synced = { ...settings };
+    if (synced.readAloud) synced.readAloud = { ...synced.readAloud, voices: {} };
+    return synced;
+}
+
+function queueSettingsSync(settings) {
+    queueSyncChange('settings', '', '', toSyncedSettings(settings));
+}
+
+// Everything stored on this device, as records. Settings carry the oldest possible date: a
+// device joining sync takes the settings already there instead of replacing them.
+function collectLocalSyncRecords() {
+    const records = [];
+    const add = (kind, bookId, itemId, value, updatedAt) => {
+        records.push({ key: getSyncKey(kind, bookId, itemId), kind, bookId, value, deleted: false, updatedAt: updatedAt || SYNC_EPOCH });
+    };
+    const positions = JSON.parse(localStorage.getItem(BOOK_POSITIONS_KEY) || '{}');
+    for (const [bookId, position] of Object.entries(positions)) add('position', bookId, '', position, position.updatedAt);
+    const settings = localStorage.getItem('pdfReaderSettings');
+    if (settings) add('settings', '', '', toSyncedSettings(JSON.parse(settings)), SYNC_EPOCH);
+    for (const [bookId, entry] of Object.entries(loadHighlightStore())) {
+        for (const highlight of entry.items) add('highlight', bookId, highlight.id, { name: entry.name, highlight }, highlight.updatedAt);
+    }
+    for (const [bookId, entry] of Object.entries(loadBookmarkStore())) {
+        for (const bookmark of entry.items) add('bookmark', bookId, String(bookmark.offset), { name: entry.name, bookmark }, bookmark.createdAt);
+    }
+    return records;
+}
+
+// Turn sync on with a token (from `node server.js add-sync-user`), switch user, or turn it off
+// with ''. A new token starts over: the device sends all it has and pulls everything back.
+function setSyncToken(token) {
+    const current = loadSyncState();
+    if (token === current.token) return;
+    clearTimeout(syncTimer);
+    const state = { token, rev: 0, queue: {}, lastSync: '', error: '' };
+    if (token) {
+        for (const record of collectLocalSyncRecords()) state.queue[record.key] = record;
+    }
+    saveSyncState(state);
+    if (token) syncNow();
+}
+
+function scheduleSync(delay) {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => syncNow(), delay);
+}
+
+// Push the queue and pull what changed elsewhere; resolves once done (errors end up in the
+// state's error and are retried later, except a rejected token)
+function syncNow(options = {}) {
+    if (!syncInFlight) {
+        syncInFlight = runSync(options).finally(() => { syncInFlight = null; });
+    }
+    return syncInFlight;
+}
+
+async function runSync({ keepalive = false } = {}) {
+    clearTimeout(syncTimer);
+    let state = loadSyncState();
+    if (!state.token) return;
+    try {
+        for (let round = 0; round < SYNC_MAX_ROUNDS; round++) {
+            const batch = Object.values(state.queue).slice(0, SYNC_BATCH_SIZE);
+            const body = JSON.stringify({ since: state.rev, records: batch });
+            const response = await fetch(SYNC_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${state.token}` },
+                body,
+                keepalive: keepalive && body.length < SYNC_KEEPALIVE_BYTES
+            });
+            if (!response.ok) throw await readSyncError(response);
+            const result = await response.json();
+
+            // Changes may have been queued while the request was out: keep those
+            state = loadSyncState();
+            for (const sent of batch) {
+                const queued = state.queue[sent.key];
+                if (queued && queued.updatedAt === sent.updatedAt) delete state.queue[sent.key];
+            }
+            const remote = result.records.filter(record => !state.queue[record.key]);
+            state.rev = result.rev;
+            state.lastSync = new Date().toISOString();
+            state.error = '';
+            saveSyncState(state);
+            if (remote.length) applySyncRecords(remote);
+            if (!Object.keys(state.queue).length) break;
+        }
+    } catch (err) {
+        state = loadSyncState();
+        state.error = err.status ? err.message : 'Server not reachable';
+        saveSyncState(state);
+        // A wrong token or a server without sync won't fix itself
+        if (err.status !== 401 && err.status !== 503) scheduleSync(SYNC_RETRY_MS);
+    }
+}
+
+async function readSyncError(response) {
+    let message = `Sync failed (${response.status})`;
+    try {
+        const { error } = await response.json();
+        if (error) message = error;
+    } catch {}
+    const err = new Error(message);
+    err.status = response.status;
+    return err;
+}
+
+// Write records from the server into this device's storage, then let the app refresh
+function applySyncRecords(records) {
+    const kinds = new Set(records.map(r => r.kind));
+    if (kinds.has('position')) {
+        const positions = JSON.parse(localStorage.getItem(BOOK_POSITIONS_KEY) || '{}');
+        for (const r of records.filter(r => r.kind === 'position')) {
+            if (r.deleted) delete positions[r.bookId];
+            else positions[r.bookId] = r.value;
+        }
+        localStorage.setItem(BOOK_POSITIONS_KEY, JSON.stringify(positions));
+    }
+    const settings = records.filter(r => r.kind === 'settings' && !r.deleted).pop();
+    if (settings) {
+        const local = JSON.parse(localStorage.getItem('pdfReaderSettings') || '{}');
+        const merged = { ...settings.value };
+        merged.readAloud = { ...(merged.readAloud || {}), voices: (local.readAloud && local.readAloud.voices) || {} };
+        localStorage.setItem('pdfReaderSettings', JSON.stringify(merged));
+    }
+    if (kinds.has('highlight')) {
+        const store = loadHighlightStore();
+        for (const r of records.filter(r => r.kind === 'highlight')) {
+            const id = JSON.parse(r.key)[2];
+            const entry = store[r.bookId] || (store[r.bookId] = { name: r.value ? r.value.name : '', items: [] });
+            entry.items = entry.items.filter(h => h.id !== id);
+            if (!r.deleted) {
+                entry.name = r.value.name || entry.name;
+                entry.items.push(r.value.highlight);
+            }
+            if (!entry.items.length) delete store[r.bookId];
+        }
+        saveHighlightStore(store);
+    }
+    if (kinds.has('bookmark')) {
+        const store = loadBookmarkStore();
+        for (const r of records.filter(r => r.kind === 'bookmark')) {
+            const offset = Number(JSON.parse(r.key)[2]);
+            const entry = store[r.bookId] || (store[r.bookId] = { name: r.value ? r.value.name : '', items: [] });
+            entry.items = entry.items.filter(b => b.offset !== offset);
+            if (!r.deleted) {
+                entry.name = r.value.name || entry.name;
+                entry.items.push(r.value.bookmark);
+            }
+            if (!entry.items.length) delete store[r.bookId];
+        }
+        saveBookmarkStore(store);
+    }
+    syncHandlers.onApply(kinds);
+}
+
+// Start syncing: pull now, push when back online or when the app is put away.
+// handlers: { onApply(kinds), onStatus(state) }
+function startSync(handlers) {
+    syncHandlers = { ...syncHandlers, ...handlers };
+    window.addEventListener('online', () => syncNow());
+    document.addEventListener('visibilitychange', () => {
+        const state = loadSyncState();
+        if (document.hidden && Object.keys(state.queue).length) syncNow({ keepalive: true });
+        else if (!document.hidden && state.token) syncNow();
+    });
+    syncHandlers.onStatus(loadSyncState());
+    return syncNow();
+}
@@ -0,0 +1,139 @@
+// Plain text, Markdown and HTML article importer
+// Produces the standard { id, name, cover, blocks } book. Markdown and HTML headings
+// are chapter markers: each section is one block, so a chunk never spans two chapters
+// and carries its chapter title.
+
+function isTextBookFile(file) {
+    return getTextBookFormat(file) !== null;
+}
+
+// 'markdown' | 'html' | 'text' | null
+function getTextBookFormat(file) {
+    const name = file.name.toLowerCase();
+    if (/\.(md|markdown)$/.test(name) || file.type === 'text/markdown') return 'markdown';
+    if (/\.x?html?$/.test(name) || file.type === 'text/html' || file.type === 'application/xhtml+xml') return 'html';
+    if (/\.txt$/.test(name) || file.type === 'text/plain') return 'text';
+    return null;
+}
+
+// Build a book object from a .txt, .md or .html File
+async function buildBookFromTextFile(file) {
+    const format = getTextBookFormat(file);
+    const raw = await file.text();
+    let title = '';
+    let lang = '';
+    let sections;
+
+    if (format === 'html') {
+        const doc = new DOMParser().parseFromString(raw, 'text/html');
+        title = (doc.querySelector('title') && doc.querySelector('title').textContent.trim()) || '';
+        lang = normalizeLanguage(doc.documentElement.getAttribute('lang'));
+        sections = htmlToSections(doc);
+    } else if (format === 'markdown') {
+        sections = markdownToSections(raw);
+    } else {
+        sections = [{ title: '', text: raw }];
+    }
+
+    const blocks = [];
+    for (const section of sections) {
+        // HTML marks paragraphs with block elements, Markdown and plain text with blank lines
+        const text = format === 'html' ? normalizeParagraphs(section.text) : plainTextParagraphs(section.text);
+        if (!text) continue;
+        const block = { type: 'text', text };
+        if (section.title) block.chapter = section.title;
+        blocks.push(block);
+    }
+
+    return {
+        id: makeBookId(file),
+        name: title || file.name.replace(/\.(txt|md|markdown|x?html?)$/i, ''),
+        cover: '',
+        lang,
+        blocks
+    };
+}
+
+// Split Markdown into sections at ATX (#) and setext (=== / ---) headings, dropping markup
+function markdownToSections(markdown) {
+    const sections = [{ title: '', text: '' }];
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    let inFence = false;
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) {
+            sections[sections.length - 1].text += line + '\n';
+            continue;
+        }
+
+        const atx = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+        const next = lines[i + 1] || '';
+        const setext = line.trim() && /^\s{0,3}(=+|-+)\s*$/.test(next);
+        if (atx || setext) {
+            sections.push({ title: stripInlineMarkdown(atx ? atx[1] : line.trim()), text: '' });
+            if (setext) i++;
+            continue;
+        }
+
+        sections[sections.length - 1].text += stripMarkdownLine(line) + '\n';
+    }
+    return sections.filter(s => s.title || s.text.trim());
+}
+
+// Drop block-level Markdown markers (quotes, list bullets, rules, tables) from a line
+function stripMarkdownLine(line) {
+    if (/^\s*([-*_]\s*){3,}$/.test(line)) return '';
+    return stripInlineMarkdown(line
+        .replace(/^\s{0,3}>\s?/, '')
+        .replace(/^\s*([-*+]|\d+[.)])\s+/, '')
+        .replace(/\|/g, ' '));
+}
+
+// Remove emphasis, code spans, images and keep link text
+function stripInlineMarkdown(text) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])([*_])(?=\S)(.+?)\2(?![\w*])/g, '$1$3')
+        .replace(/<[^>]+>/g, '');
+}
+
+// Split an HTML document into sections at h1-h6, taking the main article when marked up
+function htmlToSections(doc) {
+    const root = doc.querySelector('article') || doc.querySelector('main') || doc.body;
+    const sections = [{ title: '', text: '' }];
+    if (!root) return sections;
+
+    const skipTags = /^(script|style|noscript|nav|header|footer|aside|form|button|svg|template)$/i;
+    const blockTags = /^(p|div|section|article|li|ul|ol|blockquote|pre|tr|table|figure|figcaption|dt|dd|hr|br)$/i;
+
+    const walk = (node) => {
+        for (const child of Array.from(node.childNodes)) {
+            if (child.nodeType === 3) {
+                sections[sections.length - 1].text += child.data.replace(/\s+/g, ' ');
+                continue;
+            }
+            if (child.nodeType !== 1) continue;
+            const tag = child.localName;
+            if (skipTags.test(tag)) continue;
+            if (/^h[1-6]$/i.test(tag)) {
+                sections.push({ title: child.textContent.replace(/\s+/g, ' ').trim(), text: '' });
+                continue;
+            }
+            const isBlock = blockTags.test(tag);
+            if (isBlock) sections[sections.length - 1].text += '\n';
+            walk(child);
+            if (isBlock) sections[sections.length - 1].text += '\n';
+        }
+    };
+
+    walk(root);
+    return sections.filter(s => s.title || s.text.trim());
+}
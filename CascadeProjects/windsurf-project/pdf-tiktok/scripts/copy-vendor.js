@@ -0,0 +1,53 @@
+// Copy the browser libraries the app serves itself from node_modules into vendor/
+// Runs after `npm install` (postinstall) and with `npm run vendor`. vendor/ is not committed:
+// every folder is named after the version it holds, so browsers and the service worker can cache
+// it for good. That takes the exact versions pinned in package.json; updating a package means
+// renaming its folder here and wherever the app refers to it.
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const MODULES = path.join(ROOT, 'node_modules');
+const VENDOR = path.join(ROOT, 'vendor');
+
+// [from (under node_modules), to (under vendor)]; a folder copies the files matching `only`
+const VENDOR_FILES = [
+    ['pdfjs-dist/build/pdf.min.js', 'pdfjs-3.11.174/pdf.min.js'],
+    ['pdfjs-dist/build/pdf.worker.min.js', 'pdfjs-3.11.174/pdf.worker.min.js'],
+    ['inter-ui/variable/InterVariable.woff2', 'inter-4.1.1/InterVariable.woff2'],
+    ['tesseract.js/dist/tesseract.min.js', 'tesseract-5.1.1/tesseract.min.js'],
+    ['tesseract.js/dist/worker.min.js', 'tesseract-5.1.1/worker.min.js'],
+    // The .wasm.js builds embed their WebAssembly; tesseract.js picks one by SIMD support
+    ['tesseract.js-core', 'tesseract-5.1.1/core', { only: /^tesseract-core.*\.wasm\.js$/ }],
+    ['@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz', 'tesseract-5.1.1/lang-1.0.0/eng.traineddata.gz'],
+    ['@tesseract.js-data/por/4.0.0_best_int/por.traineddata.gz', 'tesseract-5.1.1/lang-1.0.0/por.traineddata.gz']
+];
+
+function copyFile(from, to) {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(from, to);
+}
+
+function copyVendorFiles() {
+    let missing = 0;
+    for (const [from, to, options = {}] of VENDOR_FILES) {
+        const source = path.join(MODULES, from);
+        if (!fs.existsSync(source)) {
+            console.warn(`vendor: ${from} is not installed`);
+            missing++;
+            continue;
+        }
+        if (fs.statSync(source).isDirectory()) {
+            for (const name of fs.readdirSync(source).filter(n => options.only.test(n))) {
+                copyFile(path.join(source, name), path.join(VENDOR, to, name));
+            }
+        } else {
+            copyFile(source, path.join(VENDOR, to));
+        }
+    }
+    console.log(missing ? `vendor: ${missing} file(s) missing, run npm install` : `vendor: copied to ${VENDOR}`);
+    if (missing) process.exitCode = 1;
+}
+
+copyVendorFiles();
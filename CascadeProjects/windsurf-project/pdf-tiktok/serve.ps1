@@ -16,6 +16,9 @@ function Get-ContentType([string]$Path) {
     ".mjs"  { return "text/javascript" }
     ".css"  { return "text/css" }
     ".json" { return "application/json" }
+    ".webmanifest" { return "application/manifest+json" }
+    ".woff2" { return "font/woff2" }
+    ".wasm" { return "application/wasm" }
     ".svg"  { return "image/svg+xml" }
     ".png"  { return "image/png" }
     ".jpg"  { return "image/jpeg" }
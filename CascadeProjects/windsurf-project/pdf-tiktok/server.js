@@ -1,14 +1,42 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
 
-const PORT = 3000;
+const PORT = Number(process.env.PORT) || 3000;
+const ROOT = __dirname;
+
+// Personal library: uploaded books are kept here, one set of files per book
+//   <id><ext>       the book as uploaded
+//   <id>.json       its metadata
+//   <id>.cover      cover image sent by the app once it has rendered one
+// The id is derived from the file's contents, so uploading the same book twice keeps one copy.
+const LIBRARY_DIR = path.resolve(process.env.LIBRARY_DIR || path.join(ROOT, 'library'));
+const LIBRARY_EXTENSIONS = ['.pdf', '.epub', '.txt', '.md', '.markdown', '.html', '.htm'];
+const MAX_UPLOAD_BYTES = 512 * 1024 * 1024;
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+const COVER_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const BOOK_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+// Reading sync: one file per user under SYNC_DIR with every record the user's devices pushed.
+// Users and the hashes of their tokens are in SYNC_USERS_FILE; add one with
+//   node server.js add-sync-user <name>
+const SYNC_DIR = path.join(LIBRARY_DIR, 'sync');
+const SYNC_USERS_FILE = path.join(LIBRARY_DIR, 'sync-users.json');
+const SYNC_USER_PATTERN = /^[a-z0-9_-]{1,32}$/i;
+const SYNC_KINDS = ['position', 'settings', 'highlight', 'bookmark'];
+const MAX_SYNC_BODY_BYTES = 4 * 1024 * 1024;
+const MAX_SYNC_RECORDS = 500;   // per request; clients send bigger queues in batches
 
 const MIME_TYPES = {
     '.html': 'text/html',
+    '.htm': 'text/html',
     '.js': 'text/javascript',
     '.css': 'text/css',
     '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
     '.gif': 'image/gif',
@@ -16,50 +44,484 @@ const MIME_TYPES = {
     '.wav': 'audio/wav',
     '.mp4': 'video/mp4',
     '.woff': 'application/font-woff',
+    '.woff2': 'font/woff2',
     '.ttf': 'application/font-ttf',
     '.eot': 'application/vnd.ms-fontobject',
     '.otf': 'application/font-otf',
     '.wasm': 'application/wasm',
     '.pdf': 'application/pdf',
+    '.epub': 'application/epub+zip',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.markdown': 'text/markdown',
     '.ico': 'image/x-icon'
 };
 
-const server = http.createServer((req, res) => {
-    console.log(`Request for ${req.url}`);
-    
-    // Handle root URL
-    let filePath = '.' + req.url;
-    if (filePath === './') {
-        filePath = './index.html';
-    }
-
-    // Get the file extension
-    const extname = String(path.extname(filePath)).toLowerCase();
-    const contentType = MIME_TYPES[extname] || 'application/octet-stream';
-
-    // Read the file
-    fs.readFile(filePath, (error, content) => {
-        if (error) {
-            if (error.code === 'ENOENT') {
-                // Page not found
-                fs.readFile('./404.html', (error, content) => {
-                    res.writeHead(404, { 'Content-Type': 'text/html' });
-                    res.end('404 Not Found', 'utf-8');
-                });
-            } else {
-                // Server error
-                res.writeHead(500);
-                res.end('Sorry, check with the site admin for error: ' + error.code + ' ..\n');
+// An error answered with its status and message
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+// Static files
+
+// Path of a URL under ROOT, or null for anything that would leave it (../, encoded or not),
+// dotfiles and the library folder (books are only reachable through the API)
+function resolveStaticPath(pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch {
+        return null;
+    }
+    if (decoded.includes('\0')) return null;
+    const filePath = path.resolve(ROOT, '.' + path.posix.normalize('/' + decoded));
+    if (!filePath.startsWith(ROOT + path.sep)) return null;
+    if (filePath === LIBRARY_DIR || filePath.startsWith(LIBRARY_DIR + path.sep)) return null;
+    if (path.relative(ROOT, filePath).split(path.sep).some(part => part.startsWith('.'))) return null;
+    return filePath;
+}
+
+async function serveStatic(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') throw new HttpError(405, 'Method not allowed');
+    const filePath = resolveStaticPath(pathname === '/' ? '/index.html' : pathname);
+    const stats = filePath && await fs.promises.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+        res.writeHead(404, { 'Content-Type': 'text/html' });
+        res.end('404 Not Found', 'utf-8');
+        return;
+    }
+    const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, { 'Content-Type': contentType, 'Content-Length': stats.size, 'Access-Control-Allow-Origin': '*' });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    await pipeline(fs.createReadStream(filePath), res);
+}
+
+// Library
+
+function getLibraryPath(id, suffix) {
+    if (!BOOK_ID_PATTERN.test(id)) throw new HttpError(404, 'Book not found');
+    return path.join(LIBRARY_DIR, id + suffix);
+}
+
+async function readBookMeta(id) {
+    try {
+        return JSON.parse(await fs.promises.readFile(getLibraryPath(id, '.json'), 'utf-8'));
+    } catch (err) {
+        if (err instanceof HttpError || err.code === 'ENOENT') throw new HttpError(404, 'Book not found');
+        throw err;
+    }
+}
+
+// Written next to the old file and renamed over it, so a crash never leaves half a record
+async function writeBookMeta(meta) {
+    const file = getLibraryPath(meta.id, '.json');
+    await fs.promises.writeFile(file + '.tmp', JSON.stringify(meta, null, 2));
+    await fs.promises.rename(file + '.tmp', file);
+}
+
+// What the app sees of a book
+function toBookListing(meta) {
+    return {
+        id: meta.id,
+        bookId: meta.bookId,
+        name: meta.name,
+        type: meta.type,
+        size: meta.size,
+        lastModified: meta.lastModified,
+        uploadedAt: meta.uploadedAt,
+        cover: meta.coverType ? `api/books/${meta.id}/cover` : null
+    };
+}
+
+async function listBooks() {
+    await fs.promises.mkdir(LIBRARY_DIR, { recursive: true });
+    const books = [];
+    for (const entry of await fs.promises.readdir(LIBRARY_DIR)) {
+        const id = path.basename(entry, '.json');
+        if (!entry.endsWith('.json') || !BOOK_ID_PATTERN.test(id)) continue;
+        try {
+            books.push(toBookListing(await readBookMeta(id)));
+        } catch (err) {
+            console.warn(`Skipping unreadable library entry ${entry}:`, err.message);
+        }
+    }
+    return books.sort((a, b) => b.uploadedAt.localeCompare(a.uploadedAt));
+}
+
+// Stream a request body into a temporary file, hashing it and stopping at maxBytes
+async function receiveBody(req, maxBytes) {
+    const declared = Number(req.headers['content-length']);
+    if (declared > maxBytes) throw new HttpError(413, 'File too large');
+    const tempFile = path.join(LIBRARY_DIR, `upload-${crypto.randomBytes(8).toString('hex')}.tmp`);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const meter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > maxBytes) {
+                callback(new HttpError(413, 'File too large'));
+                return;
             }
-        } else {
-            // Success
-            res.writeHead(200, { 'Content-Type': contentType, 'Access-Control-Allow-Origin': '*' });
-            res.end(content, 'utf-8');
+            hash.update(chunk);
+            callback(null, chunk);
         }
     });
-});
+    await fs.promises.mkdir(LIBRARY_DIR, { recursive: true });
+    try {
+        await pipeline(req, meter, fs.createWriteStream(tempFile));
+    } catch (err) {
+        await fs.promises.rm(tempFile, { force: true });
+        throw err;
+    }
+    return { tempFile, size, digest: hash.digest('hex') };
+}
+
+// POST /api/books with the file as the body. Headers: X-File-Name (URI-encoded) and
+// optionally X-File-Last-Modified (ms), so every device derives the same book id from it
+async function uploadBook(req) {
+    let name = '';
+    try {
+        name = path.basename(decodeURIComponent(req.headers['x-file-name'] || '')).trim();
+    } catch {}
+    const ext = path.extname(name).toLowerCase();
+    if (!name || !LIBRARY_EXTENSIONS.includes(ext)) {
+        throw new HttpError(415, `Only ${LIBRARY_EXTENSIONS.join(', ')} files can be added to the library`);
+    }
+
+    const { tempFile, size, digest } = await receiveBody(req, MAX_UPLOAD_BYTES);
+    if (!size) {
+        await fs.promises.rm(tempFile, { force: true });
+        throw new HttpError(400, 'Empty file');
+    }
+    const id = digest.slice(0, 32);
+    try {
+        const existing = await readBookMeta(id);
+        await fs.promises.rm(tempFile, { force: true });
+        return { status: 200, meta: existing };
+    } catch (err) {
+        if (!(err instanceof HttpError)) throw err;
+    }
+
+    const lastModified = Number(req.headers['x-file-last-modified']) || Date.now();
+    const meta = {
+        id,
+        // Same identity the app gives a file it opens (makeBookId), for positions and highlights
+        bookId: `${name}:${size}:${lastModified}`,
+        name,
+        ext,
+        type: MIME_TYPES[ext] || 'application/octet-stream',
+        size,
+        lastModified,
+        sha256: digest,
+        uploadedAt: new Date().toISOString(),
+        coverType: null
+    };
+    await fs.promises.rename(tempFile, getLibraryPath(id, ext));
+    await writeBookMeta(meta);
+    return { status: 201, meta };
+}
+
+async function sendBookFile(req, res, meta) {
+    const file = getLibraryPath(meta.id, meta.ext);
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (!stats) throw new HttpError(404, 'Book file is missing');
+    res.writeHead(200, {
+        'Content-Type': meta.type,
+        'Content-Length': stats.size,
+        'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(meta.name)}`,
+        'Cache-Control': 'no-cache'
+    });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    await pipeline(fs.createReadStream(file), res);
+}
+
+async function sendCover(req, res, meta) {
+    if (!meta.coverType) throw new HttpError(404, 'Book has no cover');
+    const file = getLibraryPath(meta.id, '.cover');
+    const stats = await fs.promises.stat(file).catch(() => null);
+    if (!stats) throw new HttpError(404, 'Cover is missing');
+    res.writeHead(200, { 'Content-Type': meta.coverType, 'Content-Length': stats.size, 'Cache-Control': 'no-cache' });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    await pipeline(fs.createReadStream(file), res);
+}
+
+async function saveCover(req, meta) {
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!COVER_TYPES.includes(type)) throw new HttpError(415, `Covers must be ${COVER_TYPES.join(', ')}`);
+    const { tempFile } = await receiveBody(req, MAX_COVER_BYTES);
+    await fs.promises.rename(tempFile, getLibraryPath(meta.id, '.cover'));
+    meta.coverType = type;
+    await writeBookMeta(meta);
+}
+
+async function deleteBook(meta) {
+    for (const suffix of [meta.ext, '.cover', '.json']) {
+        await fs.promises.rm(getLibraryPath(meta.id, suffix), { force: true });
+    }
+}
+
+// Uploads, covers and deletions are open to anyone who can reach the server until sync users
+// exist (see add-sync-user); from then on they need one of their tokens. Reading the library
+// stays open to the network the server listens on.
+async function authorizeLibraryChange(req) {
+    const users = await readSyncUsers();
+    if (!Object.keys(users).length) return;
+    try {
+        await authenticateSyncUser(req);
+    } catch (err) {
+        if (err instanceof HttpError && err.status === 401) throw new HttpError(401, 'A sync token is needed to change the library');
+        throw err;
+    }
+}
+
+// GET    /api/books             list the library
+// POST   /api/books             add a book (see uploadBook)
+// GET    /api/books/:id         download it
+// DELETE /api/books/:id         remove it
+// GET    /api/books/:id/cover   its cover
+// PUT    /api/books/:id/cover   set the cover (image body)
+// Same-origin only: no CORS headers, so other sites can't change the library.
+async function handleLibraryApi(req, res, pathname) {
+    const [, id, part, extra] = pathname.replace(/\/+$/, '').split('/').slice(2);
+    const method = req.method;
+    if (method !== 'GET' && method !== 'HEAD') await authorizeLibraryChange(req);
 
-server.listen(PORT, () => {
-    console.log(`Server running at http://localhost:${PORT}/`);
-    console.log('Press Ctrl+C to stop the server');
+    if (!id) {
+        if (method === 'GET') return sendJson(res, 200, { books: await listBooks() });
+        if (method === 'POST') {
+            const { status, meta } = await uploadBook(req);
+            return sendJson(res, status, toBookListing(meta));
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+    if (extra) throw new HttpError(404, 'Not found');
+
+    const meta = await readBookMeta(id);
+    if (!part) {
+        if (method === 'GET' || method === 'HEAD') return sendBookFile(req, res, meta);
+        if (method === 'DELETE') {
+            await deleteBook(meta);
+            res.writeHead(204);
+            return res.end();
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+    if (part === 'cover') {
+        if (method === 'GET' || method === 'HEAD') return sendCover(req, res, meta);
+        if (method === 'PUT') {
+            await saveCover(req, meta);
+            return sendJson(res, 200, toBookListing(meta));
+        }
+        throw new HttpError(405, 'Method not allowed');
+    }
+    throw new HttpError(404, 'Not found');
+}
+
+// Sync
+
+function hashSyncToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function readSyncUsers() {
+    try {
+        return JSON.parse(await fs.promises.readFile(SYNC_USERS_FILE, 'utf-8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+    }
+}
+
+// The user whose token the request carries (Authorization: Bearer <token>)
+async function authenticateSyncUser(req) {
+    const users = await readSyncUsers();
+    if (!Object.keys(users).length) throw new HttpError(503, 'Sync is not set up on this server');
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (match) {
+        const hash = Buffer.from(hashSyncToken(match[1]), 'hex');
+        for (const [name, user] of Object.entries(users)) {
+            const expected = Buffer.from(user.tokenHash, 'hex');
+            if (expected.length === hash.length && crypto.timingSafeEqual(expected, hash)) return name;
+        }
+    }
+    throw new HttpError(401, 'Invalid sync token');
+}
+
+async function readJsonBody(req, maxBytes) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > maxBytes) throw new HttpError(413, 'Request too large');
+        chunks.push(chunk);
+    }
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+    } catch {
+        throw new HttpError(400, 'Invalid JSON');
+    }
+}
+
+// A user's sync state: { rev, records: { key: { key, kind, bookId, value, deleted, updatedAt, rev } } }
+async function readSyncState(user) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(SYNC_DIR, `${user}.json`), 'utf-8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return { rev: 0, records: {} };
+        throw err;
+    }
+}
+
+async function writeSyncState(user, state) {
+    const file = path.join(SYNC_DIR, `${user}.json`);
+    await fs.promises.mkdir(SYNC_DIR, { recursive: true });
+    await fs.promises.writeFile(file + '.tmp', JSON.stringify(state));
+    await fs.promises.rename(file + '.tmp', file);
+}
+
+// Requests of one user run one after the other, so two devices syncing at once can't lose a write
+const syncQueues = new Map();
+
+function withSyncState(user, fn) {
+    const run = (syncQueues.get(user) || Promise.resolve()).then(async () => {
+        const state = await readSyncState(user);
+        const rev = state.rev;
+        const result = await fn(state);
+        if (state.rev !== rev) await writeSyncState(user, state);
+        return result;
+    });
+    syncQueues.set(user, run.catch(() => {}));
+    return run;
+}
+
+function isValidSyncRecord(record) {
+    return !!record && typeof record.key === 'string' && record.key.length <= 1024
+        && SYNC_KINDS.includes(record.kind)
+        && typeof record.updatedAt === 'string' && !Number.isNaN(Date.parse(record.updatedAt));
+}
+
+// Each record is merged on its own: the one changed last wins, a deletion included (deleted
+// records stay as tombstones so an older copy on another device can't bring them back).
+// Ties keep what the server has, so every device ends up with the same value.
+function mergeSyncRecords(state, records) {
+    let accepted = 0;
+    for (const record of records) {
+        const current = state.records[record.key];
+        // A device whose clock runs ahead can't claim the future and win every later conflict
+        const updatedAt = new Date(Math.min(Date.parse(record.updatedAt), Date.now())).toISOString();
+        if (current && current.updatedAt >= updatedAt) continue;
+        state.rev += 1;
+        state.records[record.key] = {
+            key: record.key,
+            kind: record.kind,
+            bookId: typeof record.bookId === 'string' ? record.bookId : '',
+            value: record.deleted ? null : record.value,
+            deleted: !!record.deleted,
+            updatedAt,
+            rev: state.rev
+        };
+        accepted++;
+    }
+    return accepted;
+}
+
+// POST /api/sync { since, records } -> { rev, records }
+// Pushes the device's changed records and answers with every record changed after revision
+// `since` (the device's own included). A device ahead of the server (its data was reset) gets
+// everything again.
+async function handleSyncApi(req, res) {
+    if (req.method !== 'POST') throw new HttpError(405, 'Method not allowed');
+    const user = await authenticateSyncUser(req);
+    const body = await readJsonBody(req, MAX_SYNC_BODY_BYTES);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Invalid sync request');
+    const records = Array.isArray(body.records) ? body.records : [];
+    if (records.length > MAX_SYNC_RECORDS) throw new HttpError(413, `At most ${MAX_SYNC_RECORDS} records per request`);
+    if (!records.every(isValidSyncRecord)) throw new HttpError(400, 'Invalid sync record');
+
+    const result = await withSyncState(user, (state) => {
+        const accepted = mergeSyncRecords(state, records);
+        const since = Number(body.since) > state.rev ? 0 : Number(body.since) || 0;
+        return {
+            rev: state.rev,
+            accepted,
+            records: Object.values(state.records).filter(r => r.rev > since).sort((a, b) => a.rev - b.rev)
+        };
+    });
+    sendJson(res, 200, result);
+}
+
+// node server.js add-sync-user <name>: create the user (or give it a new token) and print the token
+async function addSyncUser(name) {
+    if (!SYNC_USER_PATTERN.test(name || '')) {
+        console.error('Usage: node server.js add-sync-user <name> (letters, digits, - and _)');
+        process.exitCode = 1;
+        return;
+    }
+    const users = await readSyncUsers();
+    const token = crypto.randomBytes(24).toString('base64url');
+    users[name] = { tokenHash: hashSyncToken(token), createdAt: new Date().toISOString() };
+    await fs.promises.mkdir(LIBRARY_DIR, { recursive: true });
+    await fs.promises.writeFile(SYNC_USERS_FILE, JSON.stringify(users, null, 2), { mode: 0o600 });
+    console.log(`Sync token for ${name} (enter it in the app's settings on each device):`);
+    console.log(token);
+}
+
+const server = http.createServer(async (req, res) => {
+    console.log(`${req.method} ${req.url}`);
+    try {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname === '/api/books' || pathname.startsWith('/api/books/')) {
+            await handleLibraryApi(req, res, pathname);
+        } else if (pathname === '/api/sync') {
+            await handleSyncApi(req, res);
+        } else if (pathname.startsWith('/api/')) {
+            throw new HttpError(404, 'Not found');
+        } else {
+            await serveStatic(req, res, pathname);
+        }
+    } catch (error) {
+        const status = error instanceof HttpError ? error.status : 500;
+        if (status === 500) console.error(`Error handling ${req.method} ${req.url}:`, error);
+        if (res.headersSent) {
+            // Failed mid-stream: all we can do is cut the response short
+            res.destroy();
+            return;
+        }
+        // Don't leave an unread upload hanging on the connection
+        if (!req.complete) res.setHeader('Connection', 'close');
+        sendJson(res, status, { error: status === 500 ? 'Server error' : error.message });
+    }
 });
+
+// Tests require this file and start the server themselves (see test/)
+if (require.main !== module) {
+    module.exports = { server, resolveStaticPath, mergeSyncRecords };
+} else if (process.argv[2] === 'add-sync-user') {
+    addSyncUser(process.argv[3]).catch(err => {
+        console.error(err);
+        process.exitCode = 1;
+    });
+} else {
+    server.listen(PORT, () => {
+        console.log(`Server running at http://localhost:${PORT}/`);
+        console.log(`Library folder: ${LIBRARY_DIR}`);
+        console.log('Press Ctrl+C to stop the server');
+    });
+}
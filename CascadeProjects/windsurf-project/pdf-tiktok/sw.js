@@ -0,0 +1,143 @@
+// Service worker: ReadTok works offline once it has been opened
+// The app shell is cached on install and served stale-while-revalidate, so a new deploy shows
+// up on the next launch without bumping a version by hand. Vendored libraries live in
+// versioned folders and are served cache-first (the OCR engine is cached when first used).
+// Files shared to the installed app arrive here as a POST and are handed to the page.
+
+const CACHE_VERSION = 'v2'; // bumped when vendored files move, so the old copies are dropped
+const SHELL_CACHE = `readtok-shell-${CACHE_VERSION}`;
+const VENDOR_CACHE = `readtok-vendor-${CACHE_VERSION}`;
+const SHARED_FILES_CACHE = 'readtok-shared-files'; // read and emptied by takeSharedFiles() in pwa.js
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'assets/upload-icon.svg',
+    'assets/icon.svg',
+    'js/chunking.js',
+    'js/pdf-extract.js',
+    'js/ocr.js',
+    'js/library-store.js',
+    'js/library-server.js',
+    'js/sync.js',
+    'js/epub-import.js',
+    'js/text-import.js',
+    'js/ingest.js',
+    'js/search.js',
+    'js/highlights.js',
+    'js/bookmarks.js',
+    'js/read-aloud.js',
+    'js/autoplay.js',
+    'js/interleave.js',
+    'js/reading-stats.js',
+    'js/gestures.js',
+    'js/pwa.js',
+    'js/app.js',
+    'js/pdf-worker.js'
+];
+const VENDOR_FILES = [
+    'vendor/pdfjs-3.11.174/pdf.min.js',
+    'vendor/pdfjs-3.11.174/pdf.worker.min.js',
+    'vendor/inter-4.1.1/InterVariable.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        // Past the HTTP cache: the app files are not fingerprinted
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+        // vendor/ only exists after `npm install`; without it the app uses the CDN copy online
+        const vendor = await caches.open(VENDOR_CACHE);
+        await Promise.all(VENDOR_FILES.map(url => vendor.add(url).catch(err => {
+            console.warn(`Not cached for offline use: ${url}`, err);
+        })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keep = [SHELL_CACHE, VENDOR_CACHE, SHARED_FILES_CACHE];
+        for (const key of await caches.keys()) {
+            if (key.startsWith('readtok-') && !keep.includes(key)) await caches.delete(key);
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    // The home library API (server.js) is always live; books read offline are in IndexedDB
+    if (url.pathname.includes('/api/')) return;
+
+    if (request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+        event.respondWith(receiveSharedFiles(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.pathname.includes('/vendor/')) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+// Pages: the latest when online, the cached shell when not
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put('index.html', response.clone());
+        return response;
+    } catch (err) {
+        return (await cache.match('index.html')) || Response.error();
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(VENDOR_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+}
+
+// The cached copy right away; the network copy replaces it for next time
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const update = fetch(event.request).then(async response => {
+        if (response.ok) await cache.put(event.request, response.clone());
+        return response;
+    });
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+// Web Share Target: keep the files until the page picks them up, then open it
+async function receiveSharedFiles(request) {
+    const form = await request.formData();
+    const cache = await caches.open(SHARED_FILES_CACHE);
+    let index = 0;
+    for (const file of form.getAll('books')) {
+        if (!(file instanceof File)) continue;
+        await cache.put(`shared-files/${index++}`, new Response(file, {
+            headers: {
+                'Content-Type': file.type || 'application/octet-stream',
+                'X-File-Name': encodeURIComponent(file.name)
+            }
+        }));
+    }
+    return Response.redirect('./?share-target', 303);
+}
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('js/chunking.js');
+
+const TEXT = 'Dr. Smith arrived late.  "Why?" she asked. He said nothing.\nA new paragraph starts here. It has two sentences.';
+
+test('segmentSentenceSpans gives each sentence with its offset in the text', () => {
+    const spans = segmentSentenceSpans(TEXT, 'en');
+    assert.deepEqual(spans.map(s => s.text), [
+        'Dr. Smith arrived late.',
+        '"Why?" she asked.',
+        'He said nothing.',
+        'A new paragraph starts here.',
+        'It has two sentences.'
+    ]);
+    for (const span of spans) assert.equal(TEXT.slice(span.start, span.start + span.text.length), span.text);
+});
+
+test('chunkBlocks counts text blocks as length + 1 and shown images as 1', () => {
+    const blocks = [
+        { type: 'text', text: TEXT, chapter: 'One' },
+        { type: 'image', content: 'data:image/jpeg;base64,AA' },
+        { type: 'image', content: 'data:image/jpeg;base64,BB', ocrSource: true },
+        { type: 'text', text: 'Short one. Another one here. And a third.' }
+    ];
+    const { chunks, endOffset } = chunkBlocks(blocks, { mode: 'sentences', sentences: 2 }, 0, 'en');
+    assert.deepEqual(chunks.map(c => [c.type, c.offset, c.chapter]), [
+        ['text', 0, 'One'],
+        ['text', 43, 'One'],
+        ['text', 89, 'One'],
+        ['image', TEXT.length + 1, undefined],
+        // The scan behind OCR text is neither shown nor counted
+        ['text', TEXT.length + 2, undefined],
+        ['text', TEXT.length + 2 + 29, undefined]
+    ]);
+    assert.equal(chunks[1].content, 'He said nothing.\nA new paragraph starts here.');
+    assert.equal(endOffset, TEXT.length + 2 + 'Short one. Another one here. And a third.'.length + 1);
+});
+
+test('chunkBlocks continues from startOffset', () => {
+    const blocks = [{ type: 'text', text: 'Short one. Another one here.' }];
+    const { chunks, endOffset } = chunkBlocks(blocks, { mode: 'sentences', sentences: 1 }, 100, 'en');
+    assert.deepEqual(chunks.map(c => c.offset), [100, 111]);
+    assert.equal(endOffset, 129);
+});
+
+test('offsets survive re-chunking with other settings', () => {
+    const book = { blocks: [{ type: 'text', text: TEXT }], chunks: [], lang: 'en' };
+    rechunkBook(book, { mode: 'sentences', sentences: 1 });
+    const offset = book.chunks.find(c => c.content === 'He said nothing.').offset;
+
+    rechunkBook(book, { mode: 'sentences', sentences: 3 });
+    const chunk = book.chunks[findChunkAtOffset(book.chunks, offset)];
+    assert.ok(chunk.content.includes('He said nothing.'));
+    assert.equal(book.textLength, TEXT.length + 1);
+});
+
+test('appending blocks gives the same chunks as chunking the whole book', () => {
+    const blocks = [
+        { type: 'text', text: TEXT },
+        { type: 'image', content: 'data:image/jpeg;base64,AA' },
+        { type: 'text', text: 'Short one. Another one here.' }
+    ];
+    const settings = { mode: 'words', words: 8 };
+    const streamed = { blocks: [], chunks: [], lang: 'en' };
+    for (const block of blocks) appendBookBlocks(streamed, [block], settings);
+    const whole = { blocks, chunks: [], lang: 'en' };
+    rechunkBook(whole, settings);
+    assert.deepEqual(streamed.chunks, whole.chunks);
+    assert.equal(streamed.textLength, whole.textLength);
+});
+
+test('findChunkAtOffset finds the chunk holding an offset', () => {
+    const chunks = [{ offset: 0 }, { offset: 10 }, { offset: 25 }];
+    assert.equal(findChunkAtOffset(chunks, 0), 0);
+    assert.equal(findChunkAtOffset(chunks, 9), 0);
+    assert.equal(findChunkAtOffset(chunks, 10), 1);
+    assert.equal(findChunkAtOffset(chunks, 1000), 2);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('js/chunking.js', 'js/autoplay.js', 'js/interleave.js');
+
+function makeBook(id, count, chapterOf = () => '', words = 10) {
+    const content = Array(words).fill('word').join(' ');
+    const chunks = Array.from({ length: count }, (_, n) => ({ type: 'text', content, chapter: chapterOf(n) }));
+    return { id, chunks };
+}
+
+// Order the screens of books come in (book ids), the way pumpInterleave places them
+function interleave(strategy, books) {
+    const st = { strategy: normalizeInterleaveStrategy(strategy), books, positions: books.map(() => 0) };
+    st.turn = createInterleaveTurn(st.strategy, books.length);
+    const order = [];
+    for (;;) {
+        const eligible = books.map((_, i) => i).filter(i => st.positions[i] < books[i].chunks.length);
+        if (!eligible.length) return order.join('');
+        const i = pickInterleaveBook(st, eligible);
+        const chunk = books[i].chunks[st.positions[i]++];
+        placeInterleaveBook(st, i, eligible, chunk);
+        order.push(books[i].id);
+    }
+}
+
+test('round-robin takes the books in turn, skipping finished ones', () => {
+    assert.equal(interleave({ type: 'round-robin' }, [makeBook('a', 3), makeBook('b', 1), makeBook('c', 2)]), 'abcaca');
+});
+
+test('weighted gives each book screens in proportion to its weight', () => {
+    const order = interleave({ type: 'weighted', weights: { a: 2 } }, [makeBook('a', 4), makeBook('b', 2)]);
+    assert.equal(order, 'abaaba');
+});
+
+test('blocks gives every book size screens in a row', () => {
+    assert.equal(interleave({ type: 'blocks', size: 2 }, [makeBook('a', 5), makeBook('b', 3)]), 'aabbaaba');
+});
+
+test('chapters stays on a book until its chapter changes', () => {
+    const a = makeBook('a', 4, n => (n < 3 ? 'One' : 'Two'));
+    const b = makeBook('b', 2, n => (n < 1 ? 'Uno' : 'Dos'));
+    assert.equal(interleave({ type: 'chapters' }, [a, b]), 'aaabab');
+});
+
+test('time evens out the reading time placed per book', () => {
+    const long = makeBook('a', 2, () => '', 200);
+    const short = makeBook('b', 6, () => '', 20);
+    assert.equal(interleave({ type: 'time' }, [long, short]), 'abbbbbba');
+});
+
+test('shuffle is the same for the same seed', () => {
+    const books = () => [makeBook('a', 5), makeBook('b', 5), makeBook('c', 5)];
+    const order = interleave({ type: 'shuffle', seed: 7 }, books());
+    assert.equal(interleave({ type: 'shuffle', seed: 7 }, books()), order);
+    assert.notEqual(interleave({ type: 'shuffle', seed: 8 }, books()), order);
+    assert.deepEqual([...order].sort().join(''), 'aaaaabbbbbccccc');
+});
@@ -0,0 +1,15 @@
+// The app's scripts are plain browser scripts sharing globals (see index.html). Tests run them
+// in their own process's global scope, in the order the page loads them.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const APP_ROOT = path.join(__dirname, '..');
+
+function loadScripts(...files) {
+    for (const file of files) {
+        vm.runInThisContext(fs.readFileSync(path.join(APP_ROOT, file), 'utf-8'), { filename: file });
+    }
+}
+
+module.exports = { loadScripts };
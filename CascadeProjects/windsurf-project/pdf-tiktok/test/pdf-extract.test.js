@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-scripts');
+
+loadScripts('js/chunking.js', 'js/pdf-extract.js');
+
+test('isPageNumberLine recognises folios', () => {
+    for (const text of ['12', '- 12 -', 'Page 12', 'p. 4', '12 of 300', '12/300', 'xiv', 'XIV', 'i', 'mmxxiv']) {
+        assert.equal(isPageNumberLine(text), true, text);
+    }
+});
+
+test('isPageNumberLine leaves words spelt with roman numeral letters alone', () => {
+    for (const text of ['mid', 'dim', 'Civil', 'I', 'Mix', 'iiii', 'vv', 'Chapter 12']) {
+        assert.equal(isPageNumberLine(text), false, text);
+    }
+});
+
+test('joinTextLines rejoins words hyphenated at a line end', () => {
+    assert.equal(joinTextLines(['an inter-', 'esting read']), 'an interesting read');
+    assert.equal(joinTextLines(['so\u00AD', 'ciety']), 'society');
+    assert.equal(joinTextLines(['Jean-', 'Paul left']), 'Jean-Paul left');
+});
+
+test('joinTextLines keeps the hyphen of compounds found in the text', () => {
+    const compounds = new Set();
+    collectCompounds('A well-known fact, and a Self-Made man.', compounds);
+    assert.deepEqual([...compounds], ['well-known', 'self-made']);
+    assert.equal(joinTextLines(['a well-', 'known, self-', 'made and inter-', 'esting tale'], compounds),
+        'a well-known, self-made and interesting tale');
+});
+
+test('pages are joined knowing the compounds of the pages after them', () => {
+    const line = (text, y) => ({ text, x: 72, endX: 520, y, height: 12 });
+    const compounds = new Set();
+    const filter = createRunningTextFilter(compounds);
+    const pageBox = [0, 0, 600, 800];
+    const pages = [
+        ...filter.addPage(1, [line('It is a well-', 400), line('known story.', 385)], pageBox),
+        ...filter.addPage(2, [line('Everyone calls it well-known by now.', 400)], pageBox),
+        ...filter.finish()
+    ];
+    assert.deepEqual(pages.map(p => p.text), ['It is a well-known story.', 'Everyone calls it well-known by now.']);
+
+    const joiner = createPageBreakJoiner(compounds);
+    assert.deepEqual(joiner.push('The story is well-'), []);
+    assert.deepEqual(joiner.push('known everywhere.'), [{ type: 'text', text: 'The story is well-known everywhere.' }]);
+});
@@ -0,0 +1,163 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A library of its own, set before server.js reads it
+const LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readtok-library-'));
+process.env.LIBRARY_DIR = LIBRARY_DIR;
+const { server, resolveStaticPath } = require('../server');
+
+const ROOT = path.join(__dirname, '..');
+const SYNC_TOKEN = 'test-token';
+let baseUrl;
+
+before(async () => {
+    console.log = () => {}; // one line per request otherwise
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(LIBRARY_DIR, { recursive: true, force: true });
+});
+
+function addSyncUser() {
+    const tokenHash = crypto.createHash('sha256').update(SYNC_TOKEN).digest('hex');
+    fs.writeFileSync(path.join(LIBRARY_DIR, 'sync-users.json'), JSON.stringify({ reader: { tokenHash } }));
+}
+
+function uploadBook(name, body, headers = {}) {
+    return fetch(`${baseUrl}/api/books`, {
+        method: 'POST',
+        headers: { 'X-File-Name': encodeURIComponent(name), 'X-File-Last-Modified': '1700000000000', ...headers },
+        body
+    });
+}
+
+test('resolveStaticPath keeps paths inside the app folder', () => {
+    assert.equal(resolveStaticPath('/index.html'), path.join(ROOT, 'index.html'));
+    assert.equal(resolveStaticPath('/js/../css/styles.css'), path.join(ROOT, 'css', 'styles.css'));
+    for (const pathname of ['/../server.js', '/..%2f..%2fetc%2fpasswd', '/%2e%2e/%2e%2e/etc/passwd', '/..\\..\\etc\\passwd']) {
+        const resolved = resolveStaticPath(pathname);
+        assert.ok(resolved === null || resolved.startsWith(ROOT + path.sep), `${pathname} -> ${resolved}`);
+    }
+});
+
+test('resolveStaticPath refuses dotfiles, NUL bytes and broken escapes', () => {
+    assert.equal(resolveStaticPath('/.git/config'), null);
+    assert.equal(resolveStaticPath('/js/.env'), null);
+    assert.equal(resolveStaticPath('/index.html%00.png'), null);
+    assert.equal(resolveStaticPath('/%E0%A4%A'), null);
+});
+
+test('static files are served, and nothing outside the app folder', async () => {
+    const index = await fetch(`${baseUrl}/`);
+    assert.equal(index.status, 200);
+    assert.match(index.headers.get('content-type'), /text\/html/);
+    await index.text();
+
+    for (const pathname of ['/..%2f..%2f..%2fetc%2fpasswd', '/%2e%2e%2f%2e%2e%2fetc%2fpasswd', '/.git/HEAD']) {
+        const response = await fetch(baseUrl + pathname);
+        assert.equal(response.status, 404, pathname);
+        await response.text();
+    }
+});
+
+test('books can be added, listed, downloaded, given a cover and deleted', async () => {
+    const upload = await uploadBook('Notes.txt', 'Some text to read.');
+    assert.equal(upload.status, 201);
+    const book = await upload.json();
+    assert.equal(book.name, 'Notes.txt');
+    assert.equal(book.bookId, 'Notes.txt:18:1700000000000');
+    assert.equal(book.cover, null);
+
+    // The same file again keeps one copy
+    const again = await uploadBook('Notes.txt', 'Some text to read.');
+    assert.equal(again.status, 200);
+    assert.equal((await again.json()).id, book.id);
+
+    const { books } = await (await fetch(`${baseUrl}/api/books`)).json();
+    assert.deepEqual(books.map(b => b.id), [book.id]);
+
+    const download = await fetch(`${baseUrl}/api/books/${book.id}`);
+    assert.equal(download.status, 200);
+    assert.equal(await download.text(), 'Some text to read.');
+
+    const cover = await fetch(`${baseUrl}/api/books/${book.id}/cover`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'image/png' },
+        body: Buffer.from([0x89, 0x50, 0x4e, 0x47])
+    });
+    assert.equal(cover.status, 200);
+    assert.equal((await cover.json()).cover, `api/books/${book.id}/cover`);
+    const coverFile = await fetch(`${baseUrl}/api/books/${book.id}/cover`);
+    assert.equal(coverFile.headers.get('content-type'), 'image/png');
+    await coverFile.arrayBuffer();
+
+    const removed = await fetch(`${baseUrl}/api/books/${book.id}`, { method: 'DELETE' });
+    assert.equal(removed.status, 204);
+    const gone = await fetch(`${baseUrl}/api/books/${book.id}`);
+    assert.equal(gone.status, 404);
+    await gone.json();
+});
+
+test('a cover missing from the library folder is a 404', async () => {
+    const book = await (await uploadBook('Covered.txt', 'A book with a cover.')).json();
+    const cover = await fetch(`${baseUrl}/api/books/${book.id}/cover`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'image/png' },
+        body: Buffer.from([0x89, 0x50, 0x4e, 0x47])
+    });
+    await cover.json();
+    fs.rmSync(path.join(LIBRARY_DIR, `${book.id}.cover`));
+
+    const response = await fetch(`${baseUrl}/api/books/${book.id}/cover`);
+    assert.equal(response.status, 404);
+    assert.deepEqual(await response.json(), { error: 'Cover is missing' });
+    await (await fetch(`${baseUrl}/api/books/${book.id}`, { method: 'DELETE' })).text();
+});
+
+test('the library refuses unknown types, bad ids and other paths', async () => {
+    const upload = await uploadBook('tool.exe', 'MZ');
+    assert.equal(upload.status, 415);
+    await upload.json();
+
+    for (const pathname of ['/api/books/..%2f..%2fserver.js', '/api/books/not-an-id', '/api/books/0123456789abcdef0123456789abcdef/../x']) {
+        const response = await fetch(baseUrl + pathname);
+        assert.equal(response.status, 404, pathname);
+        await response.text();
+    }
+});
+
+test('once sync users exist, changing the library takes a sync token', async () => {
+    addSyncUser();
+    try {
+        const anonymous = await uploadBook('Locked.txt', 'Locked text.');
+        assert.equal(anonymous.status, 401);
+        await anonymous.json();
+        const wrong = await uploadBook('Locked.txt', 'Locked text.', { Authorization: 'Bearer nope' });
+        assert.equal(wrong.status, 401);
+        await wrong.json();
+
+        const upload = await uploadBook('Locked.txt', 'Locked text.', { Authorization: `Bearer ${SYNC_TOKEN}` });
+        assert.equal(upload.status, 201);
+        const book = await upload.json();
+
+        // Reading stays open
+        const list = await fetch(`${baseUrl}/api/books`);
+        assert.equal(list.status, 200);
+        assert.equal((await list.json()).books.length, 1);
+
+        const anonymousDelete = await fetch(`${baseUrl}/api/books/${book.id}`, { method: 'DELETE' });
+        assert.equal(anonymousDelete.status, 401);
+        await anonymousDelete.json();
+        const removed = await fetch(`${baseUrl}/api/books/${book.id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${SYNC_TOKEN}` } });
+        assert.equal(removed.status, 204);
+    } finally {
+        fs.rmSync(path.join(LIBRARY_DIR, 'sync-users.json'), { force: true });
+    }
+});
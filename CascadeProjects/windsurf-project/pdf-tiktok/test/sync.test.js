@@ -0,0 +1,129 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A library of its own, set before server.js reads it
+const LIBRARY_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'readtok-sync-'));
+process.env.LIBRARY_DIR = LIBRARY_DIR;
+const { server, mergeSyncRecords } = require('../server');
+
+const TOKENS = { reader: 'reader-token', other: 'other-token' };
+let baseUrl;
+
+before(async () => {
+    console.log = () => {}; // one line per request otherwise
+    const users = {};
+    for (const [name, token] of Object.entries(TOKENS)) {
+        users[name] = { tokenHash: crypto.createHash('sha256').update(token).digest('hex') };
+    }
+    fs.writeFileSync(path.join(LIBRARY_DIR, 'sync-users.json'), JSON.stringify(users));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(LIBRARY_DIR, { recursive: true, force: true });
+});
+
+function record(key, value, updatedAt, deleted = false) {
+    return { key, kind: 'position', bookId: 'book', value, deleted, updatedAt };
+}
+
+async function sync(token, body) {
+    const response = await fetch(`${baseUrl}/api/sync`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('mergeSyncRecords keeps the record changed last', () => {
+    const state = { rev: 0, records: {} };
+    assert.equal(mergeSyncRecords(state, [record('a', 1, '2024-01-01T00:00:00.000Z')]), 1);
+    assert.equal(mergeSyncRecords(state, [record('a', 0, '2023-12-31T00:00:00.000Z')]), 0);
+    assert.equal(state.records.a.value, 1);
+    assert.equal(mergeSyncRecords(state, [record('a', 2, '2024-01-02T00:00:00.000Z')]), 1);
+    assert.equal(state.records.a.value, 2);
+    assert.equal(state.records.a.rev, 2);
+    assert.equal(state.rev, 2);
+});
+
+test('mergeSyncRecords keeps what it has on a tie', () => {
+    const state = { rev: 0, records: {} };
+    mergeSyncRecords(state, [record('a', 'first', '2024-01-01T00:00:00.000Z')]);
+    assert.equal(mergeSyncRecords(state, [record('a', 'second', '2024-01-01T00:00:00.000Z')]), 0);
+    assert.equal(state.records.a.value, 'first');
+});
+
+test('mergeSyncRecords keeps deletions as tombstones that older copies cannot undo', () => {
+    const state = { rev: 0, records: {} };
+    mergeSyncRecords(state, [record('a', 1, '2024-01-01T00:00:00.000Z')]);
+    mergeSyncRecords(state, [record('a', 1, '2024-01-02T00:00:00.000Z', true)]);
+    assert.deepEqual([state.records.a.deleted, state.records.a.value], [true, null]);
+
+    assert.equal(mergeSyncRecords(state, [record('a', 1, '2024-01-01T12:00:00.000Z')]), 0);
+    assert.equal(state.records.a.deleted, true);
+    // A change made after the deletion brings it back
+    assert.equal(mergeSyncRecords(state, [record('a', 3, '2024-01-03T00:00:00.000Z')]), 1);
+    assert.deepEqual([state.records.a.deleted, state.records.a.value], [false, 3]);
+});
+
+test('mergeSyncRecords caps dates in the future at now', async () => {
+    const state = { rev: 0, records: {} };
+    mergeSyncRecords(state, [record('a', 'ahead', '2999-01-01T00:00:00.000Z')]);
+    assert.ok(Date.parse(state.records.a.updatedAt) <= Date.now());
+    // So a change made afterwards on a device with the right time still wins
+    await new Promise(resolve => setTimeout(resolve, 5));
+    assert.equal(mergeSyncRecords(state, [record('a', 'later', new Date().toISOString())]), 1);
+    assert.equal(state.records.a.value, 'later');
+});
+
+test('/api/sync needs a valid token', async () => {
+    assert.equal((await sync('wrong', { since: 0, records: [] })).status, 401);
+    const response = await fetch(`${baseUrl}/api/sync`, { method: 'POST', body: '{}' });
+    assert.equal(response.status, 401);
+    await response.json();
+});
+
+test('/api/sync refuses a body that is not an object', async () => {
+    for (const body of [null, 42, 'records', [record('a', 1, '2024-01-01T00:00:00.000Z')]]) {
+        const response = await sync(TOKENS.reader, body);
+        assert.equal(response.status, 400, JSON.stringify(body));
+        assert.deepEqual(response.body, { error: 'Invalid sync request' });
+    }
+});
+
+test('/api/sync refuses invalid records', async () => {
+    const { status } = await sync(TOKENS.reader, { since: 0, records: [{ key: 'a', kind: 'unknown', updatedAt: '2024-01-01' }] });
+    assert.equal(status, 400);
+});
+
+test('/api/sync answers with what changed since the device last synced, per user', async () => {
+    const first = await sync(TOKENS.reader, { since: 0, records: [record('a', 1, '2024-01-01T00:00:00.000Z')] });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.accepted, 1);
+    assert.deepEqual(first.body.records.map(r => [r.key, r.value]), [['a', 1]]);
+
+    const second = await sync(TOKENS.reader, {
+        since: first.body.rev,
+        records: [record('b', 2, '2024-01-01T00:00:00.000Z'), record('a', 0, '2023-01-01T00:00:00.000Z')]
+    });
+    assert.equal(second.body.accepted, 1);
+    assert.deepEqual(second.body.records.map(r => [r.key, r.value]), [['b', 2]]);
+
+    // Another device with nothing to send pulls everything
+    const fresh = await sync(TOKENS.reader, { since: 0, records: [] });
+    assert.deepEqual(fresh.body.records.map(r => r.key), ['a', 'b']);
+    // A device ahead of the server (its data was reset) gets everything again
+    const ahead = await sync(TOKENS.reader, { since: 1000, records: [] });
+    assert.equal(ahead.body.records.length, 2);
+
+    // Every user has records of their own
+    const other = await sync(TOKENS.other, { since: 0, records: [] });
+    assert.deepEqual(other.body, { rev: 0, accepted: 0, records: [] });
+});